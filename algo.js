@@ -1,437 +1,265 @@
 /**
  * @file algorithms.js
- * * Contains all pure algorithm logic for disk scheduling.
- * - Part 1: Generates a step-by-step history for animation.
- * - Part 2: Provides "pure" calculations for the "Compare All" feature.
+ * * The headless disk scheduling engine. It has no DOM or global state, so it
+ * runs unchanged in the browser and under Node (`require('./algo.js')`).
+ * - Part 1: The headless API: runs a simulation and returns its steps and stats.
+ * - Part 2: Provides "pure" calculations for the "Compare All" feature and its consistency check.
+ * - Part 3: The scheduler that drives every algorithm, including requests with arrival times.
+ * - Part 4: The algorithm registry and the built-in algorithms.
+ * - Part 5: Node module exports.
  * * This file has no dependencies on app.js or animation.js,
  * but app.js depends on this file.
+ * * In-house algorithms can live in their own file: load it after this one
+ * and call registerAlgorithm() (see Part 4).
  */
 
 // ===================================================================
 //
-// Part 1: "Visual" functions that generate the global `history` array
-// for the step-by-step animation.
+// Part 1: The headless API.
 //
-// These functions are called by app.js and modify the global `history` array.
+// simulate() is the one entry point for running an algorithm. It takes
+// everything as arguments and returns plain data, so the browser UI and
+// Node scripts get exactly the same results.
 //
 // ===================================================================
 
-/**
- * Dispatches to the correct algorithm function based on UI selection.
- * @param {string} algorithm - The selected algorithm (e.g., 'fcfs', 'sstf').
- * @param {number[]} requests - The list of requests.
- * @param {number} startHead - The starting head position.
- * @param {string} direction - The starting direction ('left' or 'right').
- * @returns {boolean} True if history was successfully generated.
- */
-function calculateSimulationHistory(algorithm, requests, startHead, direction) {
-    // Clear previous history
-    window.history = []; // Access global history from app.js
-    window.currentStateIndex = 0;
-    
-    // Store the *original* set for FCFS, but a sorted set for others
-    if (algorithm === 'fcfs') {
-        window.originalRequestSet = new Set(requests);
-    } else {
-        window.originalRequestSet = new Set([...new Set(requests)].sort((a,b)=>a-b));
-    }
-    
-    // The first step in history is always the start position
-    addHistoryStep(startHead, 0, new Set(), []);
+// The disk used when no geometry is given
+const DEFAULT_GEOMETRY = { min: 0, max: 199 };
 
-    switch (algorithm) {
-        case 'fcfs':
-            calculateFcfsPath(requests, startHead);
-            break;
-        case 'sstf':
-            calculateSstfPath(requests, startHead);
-            break;
-        case 'scan':
-            calculateScanPath(requests, startHead, direction);
-            break;
-        case 'c-scan':
-            calculateCScanPath(requests, startHead, direction);
-            break;
-        case 'look':
-            calculateLookPath(requests, startHead, direction);
-            break;
-        case 'c-look':
-            calculateCLookPath(requests, startHead, direction);
-            break;
-    }
-    
-    // Add a final "dummy" state to show the last request as served
-    if (window.history.length > 0) {
-        window.history.push(window.history[window.history.length - 1]);
-    }
-    
-    return true;
-}
+// The physical drive used when the timing model is on without settings of its own.
+// Short seeks are dominated by acceleration (settle + accel * sqrt(distance));
+// beyond `coastAfter` cylinders the arm coasts at a constant speed.
+const DEFAULT_DRIVE = {
+    rpm: 7200,
+    sectorsPerTrack: 100,
+    transferSectors: 8,         // Sectors read or written per request
+    settleMs: 1,                // Head settle time after any seek
+    accelMs: 0.5,               // Acceleration phase, times sqrt(cylinders)
+    coastAfter: 100,            // Cylinders after which the arm coasts
+    coastMsPerCylinder: 0.02    // Coast speed
+};
 
-/**
- * Helper to add a step to the global history array.
- * @param {number} head - The current head position.
- * @param {number} seek - The total seek time up to this point.
- * @param {Set<number>} servedSet - A set of served request numbers.
- * @param {number[]} servedOrder - An array of served requests in order.
- */
-function addHistoryStep(head, seek, servedSet, servedOrder) {
-    window.history.push({
-        head: head,
-        seek: seek,
-        served: new Set(servedSet),
-        servedOrder: [...servedOrder]
-    });
-}
+// Cylinders SSTF with aging takes off a request's distance per time unit it has
+// waited. The time unit is the clock's: a ms with the drive model, otherwise the
+// time the head takes to move one cylinder.
+const DEFAULT_AGING_FACTOR = 0.5;
+
+// Requests per sub-queue for N-Step-SCAN
+const DEFAULT_N_STEP_SIZE = 4;
 
 /**
- * Generates history for FCFS (First-Come, First-Served).
- * @param {number[]} requests - The *original order* list of requests.
+ * Runs an algorithm and returns every step of the head's path plus summary stats.
+ * @param {string} algorithm - The id of a registered algorithm (e.g., 'fcfs', 'sstf').
+ * @param {(number|{cylinder: number, arrival?: number, deadline?: number})[]} requests - The requests, in
+ * input order. Plain cylinder numbers arrive at time 0.
  * @param {number} startHead - The starting head position.
+ * @param {string} direction - The starting direction ('left' or 'right').
+ * @param {{min: number, max: number}} [geometry] - First and last cylinder of the disk.
+ * @param {object} [options] - Algorithm settings.
+ * @param {number} [options.nStepSize] - Sub-queue size for N-Step-SCAN (see DEFAULT_N_STEP_SIZE).
+ * @param {number} [options.agingFactor] - Aging factor for SSTF with aging (see DEFAULT_AGING_FACTOR).
+ * @param {object|boolean} [options.drive] - Turns on the physical drive model (see DEFAULT_DRIVE), with
+ * `true` or with settings that override the defaults. The clock, arrival times and deadlines are then
+ * in milliseconds, and requests may give the `sector` they read.
+ * @returns {{steps: object[], stats: object}} `steps[0]` is the start position; every later step is one
+ * head movement (or idle wait) with `head`, `seek` (running total), `time` (simulated clock), `ms`
+ * (running drive busy time, or null without the drive model), `request` (the cylinder it served, or
+ * null), `servedOrder` and `queues` (sub-queue of each pending cylinder for N-Step-SCAN and FSCAN,
+ * otherwise null). `stats` holds `totalSeek`, `averageSeek`, `totalMs`, `averageMs` (null without the
+ * drive model), `servedOrder`, `finishTime`, `deadlines` (see summarizeDeadlines) and `responses`
+ * (see summarizeResponses).
+ * @throws {Error} If the inputs are invalid or the algorithm is unknown.
  */
-function calculateFcfsPath(requests, startHead) {
-    let currentHead = startHead;
-    let totalSeek = 0;
-    let served = new Set();
-    let servedOrder = [];
+function simulate(algorithm, requests, startHead, direction, geometry = DEFAULT_GEOMETRY, options = {}) {
+    const timedRequests = requests.map(r => (typeof r === 'number') ? { cylinder: r, arrival: 0 } : { arrival: 0, ...r });
+    const drive = resolveDrive(options.drive);
+    validateWorkload(timedRequests, startHead, direction, geometry, drive);
 
-    for (const req of requests) {
-        totalSeek += Math.abs(req - currentHead);
-        currentHead = req;
-        
-        if (window.originalRequestSet.has(req)) {
-            served.add(req);
-            servedOrder.push(req);
+    const moves = scheduleRequests(algorithm, timedRequests, startHead, direction, { ...options, geometry });
+
+    const servedOrder = [];
+    const steps = [{ head: startHead, seek: 0, time: 0, ms: drive ? 0 : null, request: null, servedOrder: [], queues: null }];
+    for (const move of moves) {
+        if (move.request) {
+            servedOrder.push(move.request.cylinder);
         }
-        addHistoryStep(currentHead, totalSeek, served, servedOrder);
+        steps.push({
+            head: move.head,
+            seek: move.seek,
+            time: move.time,
+            ms: move.ms,
+            request: move.request ? move.request.cylinder : null,
+            servedOrder: [...servedOrder],
+            queues: move.queues
+        });
     }
-}
 
-/**
- * Generates history for SSTF (Shortest Seek Time First).
- * @param {number[]} requests - The list of requests.
- * @param {number} startHead - The starting head position.
- */
-function calculateSstfPath(requests, startHead) {
-    let currentHead = startHead;
-    let totalSeek = 0;
-    let served = new Set();
-    let servedOrder = [];
-    
-    let remaining = new Set(requests);
-    if (remaining.has(startHead)) {
-        remaining.delete(startHead);
-        served.add(startHead);
-        servedOrder.push(startHead);
-        addHistoryStep(currentHead, totalSeek, served, servedOrder);
-    }
-
-    while (remaining.size > 0) {
-        let shortestDist = Infinity;
-        let nextReq = -1;
-
-        for (const req of remaining) {
-            const dist = Math.abs(req - currentHead);
-            if (dist < shortestDist) {
-                shortestDist = dist;
-                nextReq = req;
-            }
+    const last = steps[steps.length - 1];
+    return {
+        steps,
+        stats: {
+            totalSeek: last.seek,
+            averageSeek: (servedOrder.length > 0) ? last.seek / servedOrder.length : 0,
+            totalMs: last.ms,
+            averageMs: drive ? ((servedOrder.length > 0) ? last.ms / servedOrder.length : 0) : null,
+            servedOrder,
+            finishTime: last.time,
+            deadlines: summarizeDeadlines(moves),
+            responses: summarizeResponses(moves)
         }
-        
-        totalSeek += shortestDist;
-        currentHead = nextReq;
-        served.add(currentHead);
-        servedOrder.push(currentHead);
-        remaining.delete(currentHead);
-
-        addHistoryStep(currentHead, totalSeek, served, servedOrder);
-    }
+    };
 }
 
 /**
- * Generates history for SCAN (Elevator).
- * @param {number[]} requests - The list of requests.
+ * Checks that a workload fits the disk.
+ * @param {{cylinder: number, arrival: number, deadline?: number}[]} timedRequests - The requests.
  * @param {number} startHead - The starting head position.
  * @param {string} direction - The starting direction.
+ * @param {{min: number, max: number}} geometry - First and last cylinder of the disk.
+ * @param {object|null} [drive] - The drive model (see resolveDrive), to check sector numbers against.
+ * @throws {Error} Describing the first problem found.
  */
-function calculateScanPath(requests, startHead, direction) {
-    let currentHead = startHead;
-    let totalSeek = 0;
-    let served = new Set();
-    let servedOrder = [];
-
-    let sortedRequests = [...new Set(requests)].sort((a,b)=>a-b);
-    
-    let leftRequests = sortedRequests.filter(r => r < startHead).reverse(); // Sort descending
-    let rightRequests = sortedRequests.filter(r => r >= startHead); // Sort ascending
-
-    if (sortedRequests.includes(startHead)) {
-        served.add(startHead);
-        servedOrder.push(startHead);
-        addHistoryStep(currentHead, totalSeek, served, servedOrder);
-    }
-
-    if (direction === 'right') {
-        for (const req of rightRequests) {
-            if (req === startHead) continue;
-            totalSeek += Math.abs(req - currentHead);
-            currentHead = req;
-            served.add(currentHead);
-            servedOrder.push(currentHead);
-            addHistoryStep(currentHead, totalSeek, served, servedOrder);
-        }
-        if (currentHead !== window.DISK_MAX) {
-            totalSeek += Math.abs(window.DISK_MAX - currentHead);
-            currentHead = window.DISK_MAX;
-            addHistoryStep(currentHead, totalSeek, served, servedOrder);
-        }
-        for (const req of leftRequests) {
-            totalSeek += Math.abs(req - currentHead);
-            currentHead = req;
-            served.add(currentHead);
-            servedOrder.push(currentHead);
-            addHistoryStep(currentHead, totalSeek, served, servedOrder);
+function validateWorkload(timedRequests, startHead, direction, geometry, drive = null) {
+    const { min, max } = geometry;
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || max <= min) {
+        throw new Error('Invalid disk geometry. The last cylinder must be greater than the first, and both non-negative integers.');
+    }
+    if (!Number.isInteger(startHead) || startHead < min || startHead > max) {
+        throw new Error(`Invalid Start Head. Must be between ${min} and ${max}.`);
+    }
+    if (direction !== 'left' && direction !== 'right') {
+        throw new Error(`Invalid direction "${direction}". Must be 'left' or 'right'.`);
+    }
+    if (timedRequests.length === 0) {
+        throw new Error('No requests to schedule.');
+    }
+    for (const r of timedRequests) {
+        if (!Number.isInteger(r.cylinder) || r.cylinder < min || r.cylinder > max) {
+            throw new Error(`Invalid request ${r.cylinder}. Must be between ${min} and ${max}.`);
         }
-    } else { // direction === 'left'
-        for (const req of leftRequests) {
-            totalSeek += Math.abs(req - currentHead);
-            currentHead = req;
-            served.add(currentHead);
-            servedOrder.push(currentHead);
-            addHistoryStep(currentHead, totalSeek, served, servedOrder);
+        if (!Number.isInteger(r.arrival) || r.arrival < 0) {
+            throw new Error(`Invalid arrival time for request ${r.cylinder}. Must be a whole number, 0 or more.`);
         }
-        if (currentHead !== 0) {
-            totalSeek += Math.abs(0 - currentHead);
-            currentHead = 0;
-            addHistoryStep(currentHead, totalSeek, served, servedOrder);
+        if (r.deadline !== undefined && (!Number.isInteger(r.deadline) || r.deadline < 0)) {
+            throw new Error(`Invalid deadline for request ${r.cylinder}. Must be a whole number, 0 or more.`);
         }
-        for (const req of rightRequests) {
-            if (req === startHead) continue;
-            totalSeek += Math.abs(req - currentHead);
-            currentHead = req;
-            served.add(currentHead);
-            servedOrder.push(currentHead);
-            addHistoryStep(currentHead, totalSeek, served, servedOrder);
+        if (r.sector !== undefined && (!Number.isInteger(r.sector) || r.sector < 0 || (drive && r.sector >= drive.sectorsPerTrack))) {
+            const last = drive ? drive.sectorsPerTrack - 1 : 'the last sector';
+            throw new Error(`Invalid sector for request ${r.cylinder}. Must be between 0 and ${last}.`);
         }
     }
 }
 
 /**
- * Generates history for C-SCAN (Circular SCAN).
- * @param {number[]} requests - The list of requests.
- * @param {number} startHead - The starting head position.
- * @param {string} direction - The starting direction.
+ * Fills in and checks the drive model settings.
+ * @param {object|boolean|null|undefined} drive - `true` for DEFAULT_DRIVE, settings that override it,
+ * or a falsy value for no drive model.
+ * @returns {object|null} The complete drive settings, or null.
+ * @throws {Error} If a setting is out of range.
  */
-function calculateCScanPath(requests, startHead, direction) {
-    let currentHead = startHead;
-    let totalSeek = 0;
-    let served = new Set();
-    let servedOrder = [];
-
-    let sortedRequests = [...new Set(requests)].sort((a,b)=>a-b);
-    
-    let leftRequests = sortedRequests.filter(r => r < startHead);
-    let rightRequests = sortedRequests.filter(r => r >= startHead);
-
-    if (sortedRequests.includes(startHead)) {
-        served.add(startHead);
-        servedOrder.push(startHead);
-        addHistoryStep(currentHead, totalSeek, served, servedOrder);
-    }
-    
-    if (direction === 'right') {
-        for (const req of rightRequests) {
-            if (req === startHead) continue;
-            totalSeek += Math.abs(req - currentHead);
-            currentHead = req;
-            served.add(currentHead);
-            servedOrder.push(currentHead);
-            addHistoryStep(currentHead, totalSeek, served, servedOrder);
-        }
-        if (currentHead !== window.DISK_MAX) {
-            totalSeek += Math.abs(window.DISK_MAX - currentHead);
-            currentHead = window.DISK_MAX;
-            addHistoryStep(currentHead, totalSeek, served, servedOrder);
-        }
-        totalSeek += window.DISK_MAX; // Add full sweep
-        currentHead = 0;
-        addHistoryStep(currentHead, totalSeek, served, servedOrder);
-        for (const req of leftRequests) {
-            totalSeek += Math.abs(req - currentHead);
-            currentHead = req;
-            served.add(currentHead);
-            servedOrder.push(currentHead);
-            addHistoryStep(currentHead, totalSeek, served, servedOrder);
-        }
-    } else { // direction === 'left'
-        leftRequests.reverse(); // Serve in descending order
-        for (const req of leftRequests) {
-            totalSeek += Math.abs(req - currentHead);
-            currentHead = req;
-            served.add(currentHead);
-            servedOrder.push(currentHead);
-            addHistoryStep(currentHead, totalSeek, served, servedOrder);
-        }
-        if (currentHead !== 0) {
-            totalSeek += Math.abs(0 - currentHead);
-            currentHead = 0;
-            addHistoryStep(currentHead, totalSeek, served, servedOrder);
-        }
-        totalSeek += window.DISK_MAX;
-        currentHead = window.DISK_MAX;
-        addHistoryStep(currentHead, totalSeek, served, servedOrder);
-        
-        rightRequests.reverse();
-        for (const req of rightRequests) {
-            if (req === startHead) continue;
-            totalSeek += Math.abs(req - currentHead);
-            currentHead = req;
-            served.add(currentHead);
-            servedOrder.push(currentHead);
-            addHistoryStep(currentHead, totalSeek, served, servedOrder);
+function resolveDrive(drive) {
+    if (!drive) return null;
+    const settings = { ...DEFAULT_DRIVE, ...(drive === true ? {} : drive) };
+    for (const [key, value] of Object.entries(settings)) {
+        if (typeof value !== 'number' || !isFinite(value) || value < 0) {
+            throw new Error(`Invalid drive setting ${key}. Must be a number, 0 or more.`);
         }
     }
+    if (settings.rpm === 0 || !Number.isInteger(settings.sectorsPerTrack) || settings.sectorsPerTrack < 1) {
+        throw new Error('Invalid drive. RPM must be above 0 and sectors per track a whole number, 1 or more.');
+    }
+    return settings;
 }
 
+
+// One entry of a request list: cylinder[:sector][@arrival][!deadline], whole numbers only
+const REQUEST_TOKEN = /^\s*(\d+)\s*(?::\s*(\d+)\s*)?(?:@\s*(\d+)\s*)?(?:!\s*(\d+)\s*)?$/;
+
 /**
- * Generates history for LOOK.
- * @param {number[]} requests - The list of requests.
- * @param {number} startHead - The starting head position.
- * @param {string} direction - The starting direction.
+ * Parses a request list written in the input box syntax, `cylinder[:sector][@arrival][!deadline]`,
+ * with entries separated by commas or newlines (e.g. `98@0, 183:40@12!300, 37`).
+ * Empty entries are skipped. A malformed entry (e.g. `18x3`, `1.5` or `-4`) comes
+ * back with a NaN cylinder and arrival, which validateWorkload() rejects.
+ * @param {string} text - The request list.
+ * @returns {{cylinder: number, arrival: number, deadline?: number, sector?: number}[]} The requests, in input order.
  */
-function calculateLookPath(requests, startHead, direction) {
-    let currentHead = startHead;
-    let totalSeek = 0;
-    let served = new Set();
-    let servedOrder = [];
-
-    let sortedRequests = [...new Set(requests)].sort((a,b)=>a-b);
-    
-    let leftRequests = sortedRequests.filter(r => r < startHead).reverse(); // Sort descending
-    let rightRequests = sortedRequests.filter(r => r >= startHead); // Sort ascending
-
-    if (sortedRequests.includes(startHead)) {
-        served.add(startHead);
-        servedOrder.push(startHead);
-        addHistoryStep(currentHead, totalSeek, served, servedOrder);
-    }
-
-    if (direction === 'right') {
-        for (const req of rightRequests) {
-            if (req === startHead) continue;
-            totalSeek += Math.abs(req - currentHead);
-            currentHead = req;
-            served.add(currentHead);
-            servedOrder.push(currentHead);
-            addHistoryStep(currentHead, totalSeek, served, servedOrder);
-        }
-        for (const req of leftRequests) {
-            totalSeek += Math.abs(req - currentHead);
-            currentHead = req;
-            served.add(currentHead);
-            servedOrder.push(currentHead);
-            addHistoryStep(currentHead, totalSeek, served, servedOrder);
-        }
-    } else { // direction === 'left'
-        for (const req of leftRequests) {
-            totalSeek += Math.abs(req - currentHead);
-            currentHead = req;
-            served.add(currentHead);
-            servedOrder.push(currentHead);
-            addHistoryStep(currentHead, totalSeek, served, servedOrder);
-        }
-        for (const req of rightRequests) {
-            if (req === startHead) continue;
-            totalSeek += Math.abs(req - currentHead);
-            currentHead = req;
-            served.add(currentHead);
-            servedOrder.push(currentHead);
-            addHistoryStep(currentHead, totalSeek, served, servedOrder);
-        }
-    }
+function parseRequestList(text) {
+    return text.split(/[,\n]/)
+        .filter(token => token.trim() !== '')
+        .map(token => {
+            const match = token.match(REQUEST_TOKEN);
+            if (!match) {
+                return { cylinder: NaN, arrival: NaN };
+            }
+            const [, cylStr, sectorStr, arrivalStr, deadlineStr] = match;
+            const request = {
+                cylinder: Number(cylStr),
+                arrival: (arrivalStr === undefined) ? 0 : Number(arrivalStr)
+            };
+            if (deadlineStr !== undefined) {
+                request.deadline = Number(deadlineStr);
+            }
+            if (sectorStr !== undefined) {
+                request.sector = Number(sectorStr);
+            }
+            return request;
+        });
 }
 
 /**
- * Generates history for C-LOOK.
- * @param {number[]} requests - The list of requests.
- * @param {number} startHead - The starting head position.
- * @param {string} direction - The starting direction.
+ * Formats requests in the input box syntax; the inverse of parseRequestList().
+ * Arrival times of 0 are left out.
+ * @param {{cylinder: number, arrival?: number, deadline?: number, sector?: number}[]} requests - The requests.
+ * @returns {string} The request list, e.g. `98, 183:40@12!300`.
  */
-function calculateCLookPath(requests, startHead, direction) {
-    let currentHead = startHead;
-    let totalSeek = 0;
-    let served = new Set();
-    let servedOrder = [];
-
-    let sortedRequests = [...new Set(requests)].sort((a,b)=>a-b);
-    
-    let leftRequests = sortedRequests.filter(r => r < startHead);
-    let rightRequests = sortedRequests.filter(r => r >= startHead);
+function formatRequestList(requests) {
+    return requests.map(r => {
+        let token = `${r.cylinder}`;
+        if (r.sector !== undefined) token += `:${r.sector}`;
+        if (r.arrival) token += `@${r.arrival}`;
+        if (r.deadline !== undefined) token += `!${r.deadline}`;
+        return token;
+    }).join(', ');
+}
 
-    if (sortedRequests.includes(startHead)) {
-        served.add(startHead);
-        servedOrder.push(startHead);
-        addHistoryStep(currentHead, totalSeek, served, servedOrder);
-    }
-    
-    if (direction === 'right') {
-        for (const req of rightRequests) {
-            if (req === startHead) continue;
-            totalSeek += Math.abs(req - currentHead);
-            currentHead = req;
-            served.add(currentHead);
-            servedOrder.push(currentHead);
-            addHistoryStep(currentHead, totalSeek, served, servedOrder);
-        }
-        if (leftRequests.length > 0) {
-            const firstReq = leftRequests[0];
-            totalSeek += Math.abs(firstReq - currentHead); // Jump
-            currentHead = firstReq;
-            served.add(currentHead);
-            servedOrder.push(currentHead);
-            addHistoryStep(currentHead, totalSeek, served, servedOrder);
-            
-            for (let i = 1; i < leftRequests.length; i++) {
-                const req = leftRequests[i];
-                totalSeek += Math.abs(req - currentHead);
-                currentHead = req;
-                served.add(currentHead);
-                servedOrder.push(currentHead);
-                addHistoryStep(currentHead, totalSeek, served, servedOrder);
-            }
-        }
-    } else { // direction === 'left'
-        leftRequests.reverse(); // Serve in descending order
-        for (const req of leftRequests) {
-            totalSeek += Math.abs(req - currentHead);
-            currentHead = req;
-            served.add(currentHead);
-            servedOrder.push(currentHead);
-            addHistoryStep(currentHead, totalSeek, served, servedOrder);
-        }
-        if (rightRequests.length > 0) {
-            const lastReq = rightRequests[rightRequests.length - 1];
-            totalSeek += Math.abs(lastReq - currentHead); // Jump
-            currentHead = lastReq;
-            if (currentHead !== startHead) {
-               served.add(currentHead);
-               servedOrder.push(currentHead);
-               addHistoryStep(currentHead, totalSeek, served, servedOrder);
-            }
+/**
+ * Formats a step list as the step-by-step table of the TXT export.
+ * @param {{head: number, seek: number, time: number, servedOrder: number[]}[]} steps - The steps,
+ * starting with the start position.
+ * @returns {string} The table, one line per step, with a header.
+ */
+function formatStepTable(steps) {
+    // With the drive model, the clock is in milliseconds and the drive's busy time gets a column
+    const timed = steps.length > 0 && steps[0].ms !== null && steps[0].ms !== undefined;
+    let table = timed
+        ? "Step | Move To | Seek | Total Seek | Clock (ms) | Busy (ms)  | Served Requests\n"
+        : "Step | Move To | Seek | Total Seek | Clock  | Served Requests\n";
+    table += timed
+        ? "-------------------------------------------------------------------------------\n"
+        : "----------------------------------------------------------------\n";
 
-            for (let i = rightRequests.length - 2; i >= 0; i--) {
-                const req = rightRequests[i];
-                if (req === startHead) continue;
-                totalSeek += Math.abs(req - currentHead);
-                currentHead = req;
-                served.add(currentHead);
-                servedOrder.push(currentHead);
-                addHistoryStep(currentHead, totalSeek, served, servedOrder);
-            }
-        }
+    for (let i = 0; i < steps.length; i++) {
+        const state = steps[i];
+        const lastHead = (i === 0) ? state.head : steps[i-1].head;
+        const seek = (i === 0) ? 0 : Math.abs(state.head - lastHead);
+        const served = [...new Set(state.servedOrder)].sort((a,b)=>a-b);
+        const clock = timed
+            ? `${formatTime(state.time).padEnd(10)} | ${formatTime(state.ms).padEnd(10)}`
+            : state.time.toString().padEnd(6);
+        table += `${i.toString().padEnd(4)} | ${state.head.toString().padEnd(7)} | ${seek.toString().padEnd(4)} | ${state.seek.toString().padEnd(10)} | ${clock} | ${served.join(', ')}\n`;
     }
+    return table;
 }
 
+/**
+ * Formats a clock reading or duration. Whole numbers are shown as they are;
+ * the drive model's fractional milliseconds are rounded to 2 decimals.
+ * @param {number} value - The time.
+ * @returns {string} The formatted time.
+ */
+function formatTime(value) {
+    return Number.isInteger(value) ? value.toString() : value.toFixed(2);
+}
 
 // ===================================================================
 //
@@ -444,19 +272,41 @@ function calculateCLookPath(requests, startHead, direction) {
 
 /**
  * Gets the total seek time for a given algorithm.
- * This is a "pure" calculation for the "Compare All" feature.
- * @param {string} algo - The algorithm name (e.g., 'fcfs').
+ * This is a "pure" calculation for the "Compare All" feature. It runs the
+ * same scheduler that drives the animation, so the two always agree.
+ * @param {string} algo - The algorithm id (e.g., 'fcfs').
  * @param {number[]} requests - The *original* list of requests.
  * @param {number} startHead - The starting head position.
  * @param {string} direction - The starting direction.
+ * @param {{cylinder: number, arrival: number}[]} [timedRequests] - Requests with arrival times, in input order.
+ * Defaults to `requests`, all arriving at time 0.
+ * @param {object} [options] - Algorithm settings (see simulate) and the disk `geometry` (defaults to 0-199).
  * @returns {number} The total seek time.
  */
-function getAlgorithmStats(algo, requests, startHead, direction) {
+function getAlgorithmStats(algo, requests, startHead, direction, timedRequests, options = {}) {
+    const moves = scheduleRequests(algo, timedRequests || toTimedRequests(requests), startHead, direction, options);
+    return moves.length > 0 ? moves[moves.length - 1].seek : 0;
+}
+
+/**
+ * Gets the total seek time from the textbook closed-form formulas.
+ * These are kept as an independent reference for the consistency check, and only
+ * exist for the six classic algorithms without arrival times. They count a request
+ * at the start head as lying to the right, and SSTF breaks ties in input order, so
+ * they can differ from the animated path in those cases.
+ * @param {string} algo - The algorithm id (e.g., 'fcfs').
+ * @param {number[]} requests - The *original* list of requests.
+ * @param {number} startHead - The starting head position.
+ * @param {string} direction - The starting direction.
+ * @param {{min: number, max: number}} [geometry] - First and last cylinder of the disk.
+ * @returns {number|null} The total seek time, or null if there is no formula for the algorithm.
+ */
+function getTextbookSeek(algo, requests, startHead, direction, geometry = DEFAULT_GEOMETRY) {
     // FCFS is the only one that uses the un-sorted, un-deduped list
     let reqCopy = (algo === 'fcfs') ? [...requests] : [...new Set(requests)];
     let headCopy = startHead;
     let dirCopy = direction;
-    const diskMax = window.DISK_MAX || 199; // Use global or default
+    const { min: diskMin, max: diskMax } = geometry;
     
     let totalSeek = 0;
     
@@ -509,8 +359,8 @@ function getAlgorithmStats(algo, requests, startHead, direction) {
                     totalSeek += Math.abs(left[0] - headCopy);
                     headCopy = left[0];
                 }
-                totalSeek += Math.abs(0 - headCopy);
-                headCopy = 0;
+                totalSeek += Math.abs(diskMin - headCopy);
+                headCopy = diskMin;
                 if (right.length > 0) {
                     totalSeek += Math.abs(right[right.length - 1] - headCopy);
                 }
@@ -528,8 +378,8 @@ function getAlgorithmStats(algo, requests, startHead, direction) {
                     headCopy = c_right[c_right.length - 1];
                 }
                 totalSeek += Math.abs(diskMax - headCopy);
-                totalSeek += diskMax; // Jump
-                headCopy = 0;
+                totalSeek += diskMax - diskMin; // Jump
+                headCopy = diskMin;
                 if (c_left.length > 0) {
                     totalSeek += Math.abs(c_left[c_left.length - 1] - headCopy);
                 }
@@ -538,8 +388,8 @@ function getAlgorithmStats(algo, requests, startHead, direction) {
                     totalSeek += Math.abs(c_left[0] - headCopy);
                     headCopy = c_left[0];
                 }
-                totalSeek += Math.abs(0 - headCopy);
-                totalSeek += diskMax; // Jump
+                totalSeek += Math.abs(diskMin - headCopy);
+                totalSeek += diskMax - diskMin; // Jump
                 headCopy = diskMax;
                 if (c_right.length > 0) {
                     totalSeek += Math.abs(c_right[0] - headCopy);
@@ -596,7 +446,909 @@ function getAlgorithmStats(algo, requests, startHead, direction) {
                 }
             }
             break;
+
+        default:
+            return null;
     }
     return totalSeek;
 }
 
+/**
+ * Finds a schedule with the least possible total seek, the baseline Compare
+ * All measures every algorithm against. It uses the classic interval dynamic
+ * program: once the head has served the requests between two cylinders, it
+ * is standing at one of them, so the cheapest way to serve any run of
+ * requests (sorted by cylinder) ending at its left or its right end follows
+ * from the two runs one request shorter. This takes O(n²) time.
+ * It only knows the requests given, so it is exactly optimal when every
+ * request is waiting from the start.
+ * @param {number[]} cylinders - The requests. Repeated cylinders are served once.
+ * @param {number} startHead - The starting head position.
+ * @returns {{order: number[], totalSeek: number}} The service order and its total seek.
+ */
+function getOptimalSchedule(cylinders, startHead) {
+    const points = [...new Set(cylinders)].sort((a, b) => a - b);
+    const n = points.length;
+    if (n === 0) return { order: [], totalSeek: 0 };
+
+    // left[i] / right[i]: the least seek to serve points[i..i+len-1], ending at its left / right end.
+    // Runs of one request are reached straight from the start head.
+    let left = points.map(p => Math.abs(p - startHead));
+    let right = [...left];
+    // Per run (i, j), bit 1: ending left came from a run that ended right; bit 2: ending right came from one that ended left
+    const turned = new Uint8Array(n * n);
+
+    for (let len = 2; len <= n; len++) {
+        const nextLeft = [];
+        const nextRight = [];
+        for (let i = 0; i + len <= n; i++) {
+            const j = i + len - 1;
+            // Ending at points[i]: the run i+1..j was served last at its left or its right end
+            const keepLeft = left[i + 1] + points[i + 1] - points[i];
+            const fromRight = right[i + 1] + points[j] - points[i];
+            // Ending at points[j]: the run i..j-1 was served last at its right or its left end
+            const keepRight = right[i] + points[j] - points[j - 1];
+            const fromLeft = left[i] + points[j] - points[i];
+
+            nextLeft.push(Math.min(keepLeft, fromRight));
+            nextRight.push(Math.min(keepRight, fromLeft));
+            turned[i * n + j] = (fromRight < keepLeft ? 1 : 0) | (fromLeft < keepRight ? 2 : 0);
+        }
+        left = nextLeft;
+        right = nextRight;
+    }
+
+    // Walk back from the whole run, peeling off the request served last
+    const totalSeek = Math.min(left[0], right[0]);
+    let atLeft = (left[0] <= right[0]);
+    let i = 0;
+    let j = n - 1;
+    const order = [];
+    while (true) {
+        const bits = turned[i * n + j];
+        if (atLeft) {
+            order.push(points[i]);
+            if (i === j) break;
+            atLeft = !(bits & 1);
+            i++;
+        } else {
+            order.push(points[j]);
+            if (i === j) break;
+            atLeft = Boolean(bits & 2);
+            j--;
+        }
+    }
+    return { order: order.reverse(), totalSeek };
+}
+
+/**
+ * Cross-checks the seek total of an algorithm.
+ * The animated total is re-added from the head positions of the animation's
+ * step list; the comparison total is what Compare All reports, and the textbook
+ * total comes from the closed-form formulas where they apply.
+ * @param {string} algo - The algorithm id.
+ * @param {number[]} requests - The *original* list of requests.
+ * @param {number} startHead - The starting head position.
+ * @param {string} direction - The starting direction.
+ * @param {{cylinder: number, arrival: number}[]} [timedRequests] - Requests with arrival times, in input order.
+ * @param {object} [options] - Algorithm settings (see simulate) and the disk `geometry` (defaults to 0-199).
+ * @returns {{animated: number, compared: number, textbook: number|null, consistent: boolean}} The three
+ * totals, and whether all of the available ones agree.
+ */
+function checkSeekConsistency(algo, requests, startHead, direction, timedRequests, options = {}) {
+    const moves = scheduleRequests(algo, timedRequests || toTimedRequests(requests), startHead, direction, options);
+    let animated = 0;
+    let head = startHead;
+    for (const move of moves) {
+        animated += Math.abs(move.head - head);
+        head = move.head;
+    }
+
+    const compared = getAlgorithmStats(algo, requests, startHead, direction, timedRequests, options);
+    const textbook = isTimedWorkload(timedRequests) ? null : getTextbookSeek(algo, requests, startHead, direction, options.geometry);
+    return {
+        animated,
+        compared,
+        textbook,
+        consistent: animated === compared && (textbook === null || textbook === animated)
+    };
+}
+
+
+/**
+ * Gets the deadline outcome for a given algorithm.
+ * This is a "pure" calculation for the "Compare All" feature.
+ * @param {string} algo - The algorithm id.
+ * @param {{cylinder: number, arrival: number, deadline?: number}[]} timedRequests - Requests in input order.
+ * @param {number} startHead - The starting head position.
+ * @param {string} direction - The starting direction.
+ * @param {object} [options] - Algorithm settings (see simulate) and the disk `geometry` (defaults to 0-199).
+ * @returns {{missed: number, maxLateness: number}} Missed deadlines and the worst lateness.
+ */
+function getDeadlineStats(algo, timedRequests, startHead, direction, options = {}) {
+    const report = summarizeDeadlines(scheduleRequests(algo, timedRequests, startHead, direction, options));
+    return {
+        missed: report.filter(r => r.missed).length,
+        maxLateness: report.length > 0 ? Math.max(...report.map(r => r.lateness)) : 0
+    };
+}
+
+/**
+ * Gets the real service time for a given algorithm under the drive model.
+ * This is a "pure" calculation for the "Compare All" feature.
+ * @param {string} algo - The algorithm id.
+ * @param {{cylinder: number, arrival: number, sector?: number}[]} timedRequests - Requests in input order.
+ * @param {number} startHead - The starting head position.
+ * @param {string} direction - The starting direction.
+ * @param {object} options - Algorithm settings, including `drive` (see simulate), and the disk `geometry`.
+ * @returns {{totalMs: number, averageMs: number}} The drive's busy time in total and per request served.
+ */
+function getServiceTimeStats(algo, timedRequests, startHead, direction, options) {
+    const moves = scheduleRequests(algo, timedRequests, startHead, direction, { ...options, drive: options.drive || true });
+    const served = moves.filter(move => move.request).length;
+    const totalMs = moves.length > 0 ? moves[moves.length - 1].ms : 0;
+    return { totalMs, averageMs: (served > 0) ? totalMs / served : 0 };
+}
+
+
+/**
+ * Gets the fairness metrics for a given algorithm.
+ * This is a "pure" calculation for the "Compare All" feature.
+ * - Response time is the time from a request's arrival until it is served,
+ *   on the scheduler's clock (milliseconds with the drive model).
+ * - Reversals count the changes of direction between consecutive moves;
+ *   the initial direction setting doesn't count as one.
+ * - Non-serving distance is travel that ends without serving a request,
+ *   such as SCAN's sweep to the disk end or C-SCAN's return sweep.
+ * @param {string} algo - The algorithm id.
+ * @param {{cylinder: number, arrival: number}[]} timedRequests - Requests in input order.
+ * @param {number} startHead - The starting head position.
+ * @param {string} direction - The starting direction.
+ * @param {object} [options] - Algorithm settings (see simulate) and the disk `geometry` (defaults to 0-199).
+ * @returns {{meanResponse: number, maxResponse: number, responseVariance: number, reversals: number, idleDistance: number}}
+ * The metrics. The variance is the population variance of the response times.
+ */
+function getFairnessStats(algo, timedRequests, startHead, direction, options = {}) {
+    const moves = scheduleRequests(algo, timedRequests, startHead, direction, options);
+
+    const responses = moves.filter(move => move.request).map(move => move.time - move.request.arrival);
+    const count = Math.max(responses.length, 1);
+    const meanResponse = responses.reduce((sum, r) => sum + r, 0) / count;
+    const responseVariance = responses.reduce((sum, r) => sum + (r - meanResponse) ** 2, 0) / count;
+
+    let reversals = 0;
+    let idleDistance = 0;
+    let head = startHead;
+    let heading = 0; // -1 left, +1 right, 0 before the first move
+    for (const move of moves) {
+        const step = move.head - head;
+        if (step !== 0) {
+            if (heading !== 0 && Math.sign(step) !== heading) reversals++;
+            heading = Math.sign(step);
+        }
+        if (!move.request) idleDistance += Math.abs(step);
+        head = move.head;
+    }
+
+    return {
+        meanResponse,
+        maxResponse: responses.length > 0 ? Math.max(...responses) : 0,
+        responseVariance,
+        reversals,
+        idleDistance
+    };
+}
+
+// ===================================================================
+//
+// Part 3: The scheduler.
+//
+// Every algorithm runs through this loop. The head moves one cylinder
+// per time unit. At every decision point the algorithm's path generator
+// may only pick among requests that have already arrived; if none are
+// waiting, the head idles until the next arrival. Without timed arrivals
+// everything is waiting from time 0 and this is the classic offline path.
+//
+// ===================================================================
+
+/**
+ * Checks whether any request arrives after time 0 or has a deadline.
+ * @param {{cylinder: number, arrival: number, deadline?: number}[]} [timedRequests] - Requests with arrival times.
+ * @returns {boolean} True if the workload depends on the clock.
+ */
+function isTimedWorkload(timedRequests) {
+    return Array.isArray(timedRequests) && timedRequests.some(r => r.arrival > 0 || r.deadline !== undefined);
+}
+
+/**
+ * Wraps a plain request list as requests that all arrive at time 0.
+ * @param {number[]} requests - The list of requests.
+ * @returns {{cylinder: number, arrival: number}[]} The timed requests.
+ */
+function toTimedRequests(requests) {
+    return requests.map(cylinder => ({ cylinder, arrival: 0 }));
+}
+
+/**
+ * Runs an algorithm's path generator until it has nothing left to do.
+ * This is a "pure" calculation: it does not touch the global history.
+ * @param {string} algorithm - The algorithm id.
+ * @param {{cylinder: number, arrival: number, deadline?: number}[]} timedRequests - Requests with arrival times, in input order.
+ * @param {number} startHead - The starting head position.
+ * @param {string} direction - The starting direction.
+ * @param {object} [options] - Algorithm settings (see simulate) and the disk `geometry` (defaults to 0-199).
+ * @returns {{head: number, seek: number, time: number, request: object|null, queues: Map|null}[]} Every
+ * head movement (or idle wait) in order, with the running seek total and the simulated clock after it.
+ * @throws {Error} If the algorithm is unknown or its path generator misbehaves.
+ */
+function scheduleRequests(algorithm, timedRequests, startHead, direction, options = {}) {
+    const algo = getAlgorithm(algorithm);
+    if (!algo) {
+        throw new Error(`Unknown algorithm "${algorithm}".`);
+    }
+    const { min: diskMin, max: diskMax } = options.geometry || DEFAULT_GEOMETRY;
+    const drive = resolveDrive(options.drive);
+
+    // FCFS serves every request; the others work on unique cylinders, keeping the earliest arrival
+    let pending;
+    // Requests without a deadline never miss one
+    const toPending = (r, index) => ({
+        cylinder: r.cylinder,
+        arrival: r.arrival,
+        deadline: (r.deadline === undefined) ? Infinity : r.deadline,
+        sector: r.sector,
+        index
+    });
+    if (algo.servesDuplicates) {
+        pending = timedRequests.map(toPending);
+    } else {
+        const earliest = new Map();
+        timedRequests.forEach((r, index) => {
+            const known = earliest.get(r.cylinder);
+            if (!known || r.arrival < known.arrival) {
+                earliest.set(r.cylinder, toPending(r, index));
+            }
+        });
+        pending = [...earliest.values()];
+    }
+    // Oldest first; ties keep the input order
+    pending.sort((a, b) => a.arrival - b.arrival || a.index - b.index);
+
+    // Online runs stop when the queue empties; offline runs may finish their sweep
+    const online = isTimedWorkload(timedRequests);
+    const state = { head: startHead, direction, time: 0, diskMin, diskMax, options, online, servedOrder: [] };
+    let seek = 0;
+    let ms = drive ? 0 : null;
+    const moves = [];
+    // A path never needs more than a few non-serving sweeps per request
+    const maxMoves = 10 * (pending.length + 2);
+
+    while (true) {
+        const waiting = pending.filter(r => r.arrival <= state.time);
+
+        if (waiting.length === 0 && pending.length > 0) {
+            // Nothing to do: idle at the current cylinder until the next arrival
+            state.time = pending[0].arrival;
+            moves.push({ head: state.head, seek, time: state.time, ms, request: null, queues: snapshotSubQueues(state) });
+            continue;
+        }
+
+        // With nothing left, the generator may still finish a sweep before returning null
+        const move = algo.next(waiting, state);
+        if (!move) {
+            if (pending.length > 0) {
+                throw new Error(`${algorithm} stopped with ${pending.length} request(s) still waiting.`);
+            }
+            break;
+        }
+        if (moves.length >= maxMoves) {
+            throw new Error(`${algorithm} did not finish within ${maxMoves} moves.`);
+        }
+        if (move.request && !waiting.includes(move.request)) {
+            throw new Error(`${algorithm} tried to serve a request that is not waiting.`);
+        }
+
+        const target = move.request ? move.request.cylinder : move.target;
+        if (!Number.isInteger(target) || target < diskMin || target > diskMax) {
+            throw new Error(`${algorithm} tried to move the head to ${target}, outside the disk.`);
+        }
+
+        // Without a drive model the head moves one cylinder per time unit
+        const distance = Math.abs(target - state.head);
+        const duration = drive ? getDriveTime(drive, distance, state.time, move.request) : distance;
+        seek += distance;
+        state.time += duration;
+        if (drive) ms += duration;
+        state.head = target;
+
+        if (move.request) {
+            pending.splice(pending.indexOf(move.request), 1);
+            state.servedOrder.push(move.request.cylinder);
+        }
+        moves.push({ head: state.head, seek, time: state.time, ms, request: move.request, queues: snapshotSubQueues(state, move.request) });
+    }
+
+    return moves;
+}
+
+/**
+ * Gets the seek time of the drive model's arm for a distance.
+ * @param {object} drive - The drive settings (see resolveDrive).
+ * @param {number} distance - Cylinders to travel.
+ * @returns {number} Milliseconds.
+ */
+function getSeekTime(drive, distance) {
+    if (distance === 0) return 0;
+    const accelerating = Math.min(distance, drive.coastAfter);
+    const coasting = distance - accelerating;
+    return drive.settleMs + drive.accelMs * Math.sqrt(accelerating) + drive.coastMsPerCylinder * coasting;
+}
+
+/**
+ * Gets how long the drive model takes for one move: the seek, plus the
+ * rotational latency and transfer time if the move serves a request.
+ * The platter spins continuously from time 0, so a request with a `sector`
+ * waits until that sector comes round; without one it waits half a turn,
+ * the average rotational latency.
+ * @param {object} drive - The drive settings (see resolveDrive).
+ * @param {number} distance - Cylinders to travel.
+ * @param {number} clock - The time the move starts, in milliseconds.
+ * @param {object|null} request - The request served at the end of the move, if any.
+ * @returns {number} Milliseconds.
+ */
+function getDriveTime(drive, distance, clock, request) {
+    const seekTime = getSeekTime(drive, distance);
+    if (!request) return seekTime;
+
+    const rotationMs = 60000 / drive.rpm;
+    const sectorMs = rotationMs / drive.sectorsPerTrack;
+    let latency = rotationMs / 2;
+    if (request.sector !== undefined) {
+        const position = ((clock + seekTime) % rotationMs) / sectorMs;
+        latency = ((request.sector - position + drive.sectorsPerTrack) % drive.sectorsPerTrack) * sectorMs;
+    }
+    return seekTime + latency + drive.transferSectors * sectorMs;
+}
+
+/**
+ * Lists the outcome of every request that had a deadline.
+ * Lateness is the completion time minus the deadline, so it is negative for
+ * requests served early and positive for missed deadlines.
+ * @param {object[]} moves - The moves returned by scheduleRequests.
+ * @returns {{cylinder: number, arrival: number, deadline: number, finish: number, lateness: number, missed: boolean}[]}
+ * One entry per request with a deadline, in service order.
+ */
+function summarizeDeadlines(moves) {
+    return moves
+        .filter(move => move.request && move.request.deadline !== Infinity)
+        .map(move => ({
+            cylinder: move.request.cylinder,
+            arrival: move.request.arrival,
+            deadline: move.request.deadline,
+            finish: move.time,
+            lateness: move.time - move.request.deadline,
+            missed: move.time > move.request.deadline
+        }));
+}
+
+/**
+ * Lists every served request with its place in the arrival queue and when it was served.
+ * @param {object[]} moves - From scheduleRequests.
+ * @returns {{cylinder: number, arrival: number, queuePosition: number, order: number, seek: number,
+ * finish: number, wait: number}[]} One entry per served request, in arrival-queue order (by arrival
+ * time, then input order). `queuePosition` and `order` (the service order) count from 1, `seek` is the
+ * running seek total when the request was served and `wait` is its response time.
+ */
+function summarizeResponses(moves) {
+    return moves
+        .filter(move => move.request)
+        .map((move, index) => ({ move, order: index + 1 }))
+        .sort((a, b) => a.move.request.arrival - b.move.request.arrival || a.move.request.index - b.move.request.index)
+        .map(({ move, order }, position) => ({
+            cylinder: move.request.cylinder,
+            arrival: move.request.arrival,
+            queuePosition: position + 1,
+            order,
+            seek: move.seek,
+            finish: move.time,
+            wait: move.time - move.request.arrival
+        }));
+}
+
+/**
+ * Maintains the sub-queues for N-Step-SCAN and FSCAN.
+ * The first queue is the one being served and is frozen once service starts;
+ * new arrivals fill later queues of at most `size` requests each.
+ * @param {object[]} arrived - Arrived, unserved requests, oldest first.
+ * @param {object} state - Scheduler state. `state.queues` is created and updated in place.
+ * @param {number} size - Maximum requests per sub-queue.
+ * @returns {object[]} The requests in the queue being served.
+ */
+function updateSubQueues(arrived, state, size) {
+    const waiting = new Set(arrived);
+    state.queues = (state.queues || []).map(queue => queue.filter(r => waiting.has(r)));
+
+    // The active queue is done once all of its requests are served
+    while (state.queues.length > 0 && state.queues[0].length === 0) {
+        state.queues.shift();
+        state.activeStarted = false;
+    }
+
+    const queued = new Set(state.queues.flat());
+    for (const req of arrived) {
+        if (queued.has(req)) continue;
+        let last = state.queues[state.queues.length - 1];
+        const lastIsFrozen = (state.queues.length === 1 && state.activeStarted);
+        if (!last || lastIsFrozen || last.length >= size) {
+            last = [];
+            state.queues.push(last);
+        }
+        last.push(req);
+    }
+
+    state.activeStarted = true;
+    return state.queues[0];
+}
+
+/**
+ * Records which sub-queue each pending request is in.
+ * @param {object} state - Scheduler state.
+ * @param {object|null} [justServed] - A request that was served by the current move.
+ * @returns {Map<number, number>|null} Cylinder to sub-queue index, or null if the algorithm has no sub-queues.
+ */
+function snapshotSubQueues(state, justServed = null) {
+    if (!state.queues) return null;
+    // Number from the first queue that still has work, so 0 is always the one being served
+    const remaining = state.queues
+        .map(queue => queue.filter(req => req !== justServed))
+        .filter(queue => queue.length > 0);
+    const queues = new Map();
+    remaining.forEach((queue, index) => {
+        queue.forEach(req => queues.set(req.cylinder, index));
+    });
+    return queues;
+}
+
+
+// ===================================================================
+//
+// Part 4: The algorithm registry and the built-in algorithms.
+//
+// An algorithm is a single path generator, `next(waiting, state)`, that
+// the scheduler calls at every decision point. `waiting` holds the
+// arrived, unserved requests ({cylinder, arrival, deadline}, oldest
+// first). `state` holds `head`, `direction`, `time`, `diskMin`,
+// `diskMax`, `options`, `online` (true when requests arrive over time
+// or have deadlines) and `servedOrder`; a generator may update
+// `direction` and keep its own bookkeeping on `state`. It returns
+// serveRequest(req), moveHead(cylinder) for a move that serves nothing,
+// or null once it has nothing left to do.
+//
+// ===================================================================
+
+const ALGORITHM_REGISTRY = [];
+
+/**
+ * Registers a scheduling algorithm. The dropdown, Compare All, exports
+ * and stats all read from the registry, in registration order.
+ * @param {object} definition - The algorithm.
+ * @param {string} definition.id - Unique id (lowercase letters, digits and dashes).
+ * @param {string} definition.name - Display name for the dropdown.
+ * @param {string} definition.description - Short description shown under the dropdown.
+ * @param {boolean} definition.usesDirection - Whether the initial direction matters.
+ * @param {Function} definition.next - The path generator, `next(waiting, state)`.
+ * @param {boolean} [definition.servesDuplicates=false] - Serve repeated cylinders separately (like FCFS)
+ * instead of once.
+ * @param {{key: string, label: string, shortLabel: string, default: *, format?: function(*, object): string}[]} [definition.settings=[]] - The
+ * options it reads (see simulate): the option's key, its label in exports and in one-line summaries, its
+ * default and how to write a value given the run's options (default String). The UI shows, exports and
+ * shares only these.
+ * @throws {Error} If the definition is incomplete or the id is taken.
+ */
+function registerAlgorithm(definition) {
+    const { id, name, description, usesDirection, next, servesDuplicates = false, settings = [] } = definition;
+    if (typeof id !== 'string' || !/^[a-z0-9-]+$/.test(id)) {
+        throw new Error('Algorithm id must be lowercase letters, digits and dashes.');
+    }
+    if (getAlgorithm(id)) {
+        throw new Error(`Algorithm "${id}" is already registered.`);
+    }
+    if (typeof next !== 'function') {
+        throw new Error(`Algorithm "${id}" needs a next(waiting, state) path generator.`);
+    }
+    ALGORITHM_REGISTRY.push({
+        id,
+        name: name || id.toUpperCase(),
+        description: description || '',
+        usesDirection: Boolean(usesDirection),
+        servesDuplicates: Boolean(servesDuplicates),
+        settings: settings.map(setting => ({ format: String, ...setting })),
+        next
+    });
+}
+
+/**
+ * Gets the settings an algorithm reads (see registerAlgorithm) with their
+ * values in a run.
+ * @param {string} id - The algorithm id.
+ * @param {object} [options] - Algorithm settings (see simulate). Missing ones take the default.
+ * @returns {{key: string, label: string, shortLabel: string, value: *, text: string}[]} Each setting,
+ * with its `value` and the formatted `text`.
+ */
+function describeSettings(id, options = {}) {
+    return getAlgorithm(id).settings.map(setting => {
+        const value = (options[setting.key] === undefined) ? setting.default : options[setting.key];
+        return { key: setting.key, label: setting.label, shortLabel: setting.shortLabel, value, text: setting.format(value, options) };
+    });
+}
+
+/**
+ * Looks up a registered algorithm.
+ * @param {string} id - The algorithm id.
+ * @returns {object|null} The algorithm, or null if none is registered under that id.
+ */
+function getAlgorithm(id) {
+    return ALGORITHM_REGISTRY.find(algo => algo.id === id) || null;
+}
+
+/**
+ * Removes a registered algorithm, e.g. a user-defined one that is being edited.
+ * @param {string} id - The algorithm id.
+ * @returns {boolean} True if an algorithm was removed.
+ */
+function unregisterAlgorithm(id) {
+    const index = ALGORITHM_REGISTRY.findIndex(algo => algo.id === id);
+    if (index === -1) return false;
+    ALGORITHM_REGISTRY.splice(index, 1);
+    return true;
+}
+
+/**
+ * Lists every registered algorithm.
+ * @returns {object[]} The algorithms, in registration order.
+ */
+function listAlgorithms() {
+    return [...ALGORITHM_REGISTRY];
+}
+
+// --- Helpers for path generators ---
+
+/**
+ * A move that serves a request.
+ * @param {object} request - A waiting request.
+ * @returns {{target: number, request: object}} The move.
+ */
+function serveRequest(request) {
+    return { target: request.cylinder, request };
+}
+
+/**
+ * A move that serves nothing, such as a sweep to the end of the disk.
+ * @param {number} target - The cylinder to move to.
+ * @returns {{target: number, request: null}} The move.
+ */
+function moveHead(target) {
+    return { target, request: null };
+}
+
+/**
+ * Lists the waiting requests in a direction, nearest first.
+ * A request at the head's cylinder counts as ahead in both directions.
+ * @param {object[]} waiting - Waiting requests.
+ * @param {number} head - The head position.
+ * @param {string} direction - 'left' or 'right'.
+ * @returns {object[]} The requests ahead of the head.
+ */
+function requestsAhead(waiting, head, direction) {
+    const byCylinder = [...waiting].sort((a, b) => a.cylinder - b.cylinder);
+    return (direction === 'right')
+        ? byCylinder.filter(r => r.cylinder >= head)
+        : byCylinder.filter(r => r.cylinder <= head).reverse();
+}
+
+/**
+ * Finds the waiting request closest to the head. Ties go to the request that
+ * comes first in `waiting`: the oldest, and without arrival times the first
+ * in input order, as in the textbook formula.
+ * @param {object[]} waiting - Waiting requests (at least one), oldest first.
+ * @param {number} head - The head position.
+ * @returns {object} The nearest request.
+ */
+function nearestRequest(waiting, head) {
+    let nearest = waiting[0];
+    for (const req of waiting) {
+        if (Math.abs(req.cylinder - head) < Math.abs(nearest.cylinder - head)) {
+            nearest = req;
+        }
+    }
+    return nearest;
+}
+
+/**
+ * Gets the last cylinder in a direction.
+ * @param {object} state - Scheduler state.
+ * @param {string} [direction=state.direction] - 'left' or 'right'.
+ * @returns {number} The cylinder at that end of the disk.
+ */
+function diskEnd(state, direction = state.direction) {
+    return (direction === 'right') ? state.diskMax : state.diskMin;
+}
+
+/**
+ * Turns the head around.
+ * @param {object} state - Scheduler state. Updated in place.
+ */
+function reverseDirection(state) {
+    state.direction = (state.direction === 'right') ? 'left' : 'right';
+    state.reversed = true;
+}
+
+// --- Built-in path generators shared by several algorithms ---
+
+/**
+ * SCAN: serve everything ahead, sweep to the end of the disk, then reverse.
+ * Like the textbook version, the first sweep of an offline run always runs
+ * to the end, even once nothing is left behind the head.
+ * @param {object[]} waiting - Waiting requests.
+ * @param {object} state - Scheduler state.
+ * @returns {object|null} The next move.
+ */
+function nextScanMove(waiting, state) {
+    const ahead = requestsAhead(waiting, state.head, state.direction);
+    if (ahead.length > 0) return serveRequest(ahead[0]);
+
+    const end = diskEnd(state);
+    const finishSweep = !state.reversed && !state.online;
+    if (state.head !== end && (waiting.length > 0 || finishSweep)) {
+        return moveHead(end);
+    }
+    if (waiting.length === 0) return null;
+
+    reverseDirection(state);
+    return serveRequest(requestsAhead(waiting, state.head, state.direction)[0]);
+}
+
+/**
+ * LOOK: serve everything ahead, then reverse at the last request.
+ * @param {object[]} waiting - Waiting requests.
+ * @param {object} state - Scheduler state.
+ * @returns {object|null} The next move.
+ */
+function nextLookMove(waiting, state) {
+    if (waiting.length === 0) return null;
+
+    let ahead = requestsAhead(waiting, state.head, state.direction);
+    if (ahead.length === 0) {
+        reverseDirection(state);
+        ahead = requestsAhead(waiting, state.head, state.direction);
+    }
+    return serveRequest(ahead[0]);
+}
+
+// --- Built-in algorithms ---
+
+registerAlgorithm({
+    id: 'fcfs',
+    name: 'FCFS (First-Come, First-Served)',
+    description: 'Simple. In-order queue.',
+    usesDirection: false,
+    servesDuplicates: true,
+    next: (waiting) => (waiting.length > 0) ? serveRequest(waiting[0]) : null
+});
+
+registerAlgorithm({
+    id: 'sstf',
+    name: 'SSTF (Shortest Seek Time First)',
+    description: 'Greedy. Minimizes seek.',
+    usesDirection: false,
+    next: (waiting, state) => (waiting.length > 0) ? serveRequest(nearestRequest(waiting, state.head)) : null
+});
+
+registerAlgorithm({
+    id: 'sstf-aging',
+    name: 'SSTF with Aging',
+    description: 'Greedy. Waiting shortens seek.',
+    usesDirection: false,
+    settings: [{
+        key: 'agingFactor',
+        label: 'Aging Factor',
+        shortLabel: 'Aging',
+        default: DEFAULT_AGING_FACTOR,
+        // The clock runs in ms with the drive model, so the factor does too
+        format: (value, options) => `${value} cylinders per ${options.drive ? 'ms' : 'time unit'}`
+    }],
+    next(waiting, state) {
+        if (waiting.length === 0) return null;
+
+        // A request's effective distance shrinks the longer it waits, so a far
+        // request that a stream of near ones keeps passing over is served in the end.
+        // With every request arriving at once they all age alike, and this is SSTF.
+        const factor = (state.options.agingFactor === undefined) ? DEFAULT_AGING_FACTOR : state.options.agingFactor;
+        const effective = (req) => Math.abs(req.cylinder - state.head) - factor * (state.time - req.arrival);
+        // Ties go to the oldest request (input order without arrival times), like SSTF
+        let best = waiting[0];
+        for (const req of waiting) {
+            if (effective(req) < effective(best)) {
+                best = req;
+            }
+        }
+        return serveRequest(best);
+    }
+});
+
+registerAlgorithm({
+    id: 'scan',
+    name: 'SCAN (Elevator)',
+    description: 'Elevator. Sweeps to end.',
+    usesDirection: true,
+    next: nextScanMove
+});
+
+registerAlgorithm({
+    id: 'c-scan',
+    name: 'C-SCAN (Circular SCAN)',
+    description: 'Circular. Sweeps to end.',
+    usesDirection: true,
+    next(waiting, state) {
+        const ahead = requestsAhead(waiting, state.head, state.direction);
+        if (ahead.length > 0) return serveRequest(ahead[0]);
+        if (waiting.length === 0 && (state.wrapped || state.online)) return null;
+
+        // Like SCAN, an offline run always makes the first sweep and the return
+        const end = diskEnd(state);
+        if (state.head !== end) return moveHead(end);
+        state.wrapped = true;
+        return moveHead(diskEnd(state, (state.direction === 'right') ? 'left' : 'right'));
+    }
+});
+
+registerAlgorithm({
+    id: 'look',
+    name: 'LOOK',
+    description: 'Elevator. Sweeps to last.',
+    usesDirection: true,
+    next: nextLookMove
+});
+
+registerAlgorithm({
+    id: 'c-look',
+    name: 'C-LOOK',
+    description: 'Circular. Sweeps to last.',
+    usesDirection: true,
+    next(waiting, state) {
+        if (waiting.length === 0) return null;
+
+        const ahead = requestsAhead(waiting, state.head, state.direction);
+        if (ahead.length > 0) return serveRequest(ahead[0]);
+
+        // Jump to the farthest waiting request and keep going the same way
+        const behind = requestsAhead(waiting, state.head, (state.direction === 'right') ? 'left' : 'right');
+        return serveRequest(behind[behind.length - 1]);
+    }
+});
+
+registerAlgorithm({
+    id: 'n-step-scan',
+    name: 'N-Step-SCAN',
+    description: 'SCAN over batches of N.',
+    usesDirection: true,
+    settings: [{ key: 'nStepSize', label: 'Sub-queue Size (N)', shortLabel: 'N', default: DEFAULT_N_STEP_SIZE }],
+    next: (waiting, state) => (waiting.length > 0)
+        ? nextScanMove(updateSubQueues(waiting, state, state.options.nStepSize || DEFAULT_N_STEP_SIZE), state)
+        : null
+});
+
+registerAlgorithm({
+    id: 'fscan',
+    name: 'FSCAN',
+    description: 'SCAN. Freezes the queue.',
+    usesDirection: true,
+    // FSCAN is N-Step-SCAN with one unbounded waiting queue
+    next: (waiting, state) => (waiting.length > 0)
+        ? nextScanMove(updateSubQueues(waiting, state, Infinity), state)
+        : null
+});
+
+registerAlgorithm({
+    id: 'edf',
+    name: 'EDF (Earliest Deadline First)',
+    description: 'Real-time. Earliest deadline.',
+    usesDirection: false,
+    next(waiting) {
+        if (waiting.length === 0) return null;
+
+        // Ties (and requests without deadlines) go oldest first
+        let earliest = waiting[0];
+        for (const req of waiting) {
+            if (req.deadline < earliest.deadline) {
+                earliest = req;
+            }
+        }
+        return serveRequest(earliest);
+    }
+});
+
+registerAlgorithm({
+    id: 'scan-edf',
+    name: 'SCAN-EDF',
+    description: 'Real-time. EDF, then sweep.',
+    usesDirection: true,
+    next(waiting, state) {
+        if (waiting.length === 0) return null;
+
+        // Earliest deadline first; requests sharing that deadline are served in sweep order
+        const firstDeadline = Math.min(...waiting.map(r => r.deadline));
+        return nextLookMove(waiting.filter(r => r.deadline === firstDeadline), state);
+    }
+});
+
+registerAlgorithm({
+    id: 'optimal',
+    name: 'Optimal (Minimum Seek)',
+    description: 'Baseline. Least total seek.',
+    usesDirection: false,
+    next(waiting, state) {
+        if (waiting.length === 0) return null;
+
+        // Plan the whole queue up front, and plan again whenever new requests have
+        // arrived. Only without arrival times is the result truly optimal: the plan
+        // cannot account for requests that have not arrived yet.
+        if (!state.plan || state.plan.length !== waiting.length) {
+            state.plan = getOptimalSchedule(waiting.map(r => r.cylinder), state.head).order;
+        }
+        const cylinder = state.plan.shift();
+        if (cylinder !== state.head) {
+            state.direction = (cylinder > state.head) ? 'right' : 'left';
+        }
+        return serveRequest(waiting.find(r => r.cylinder === cylinder));
+    }
+});
+
+
+// ===================================================================
+//
+// Part 5: Node module exports.
+//
+// In the browser every function above is a global; under Node the same
+// functions are exported instead.
+//
+// ===================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_GEOMETRY,
+        DEFAULT_DRIVE,
+        DEFAULT_AGING_FACTOR,
+        DEFAULT_N_STEP_SIZE,
+        simulate,
+        validateWorkload,
+        resolveDrive,
+        parseRequestList,
+        formatRequestList,
+        formatStepTable,
+        formatTime,
+        getAlgorithmStats,
+        getTextbookSeek,
+        getOptimalSchedule,
+        checkSeekConsistency,
+        getDeadlineStats,
+        getServiceTimeStats,
+        getFairnessStats,
+        scheduleRequests,
+        getSeekTime,
+        getDriveTime,
+        summarizeDeadlines,
+        summarizeResponses,
+        registerAlgorithm,
+        unregisterAlgorithm,
+        getAlgorithm,
+        describeSettings,
+        listAlgorithms,
+        serveRequest,
+        moveHead,
+        requestsAhead,
+        nearestRequest,
+        diskEnd,
+        reverseDirection
+    };
+}
@@ -12,14 +12,68 @@
 function resizeCanvas() {
     window.canvas.width = window.canvas.parentElement.clientWidth;
     window.canvas.height = 150;
+    window.pathCanvas.width = window.pathCanvas.parentElement.clientWidth;
+    window.pathCanvas.height = window.PATH_CHART_HEIGHT;
+    // Race lanes: the height follows the number of algorithms (see drawRace)
+    window.raceCanvas.width = window.raceCanvas.parentElement.clientWidth;
+}
+
+/**
+ * Scales a cylinder number to an x-coordinate on a canvas.
+ * Both the track and the head movement chart share this scale.
+ * @param {number} pos - The cylinder number.
+ * @param {number} canvasWidth - The width of the target canvas.
+ * @returns {number} The x-coordinate.
+ */
+function cylinderToX(pos, canvasWidth) {
+    return window.PADDING + ((pos - window.DISK_MIN) / (window.DISK_MAX - window.DISK_MIN)) * (canvasWidth - 2 * window.PADDING);
+}
+
+/**
+ * Returns the step of a run to show at the current timeline position. In race
+ * mode every algorithm shares the timeline, and runs that finish early stay on
+ * their last step.
+ * @param {object[]} steps - The run's steps.
+ * @returns {number} The step index.
+ */
+function clampStep(steps) {
+    return Math.min(window.currentStateIndex, steps.length - 1);
+}
+
+/**
+ * Returns where a run's head is drawn right now. While playing, the head
+ * glides from the previous state to the current one (`headTravel` is how many
+ * cylinders it has covered); until it arrives, the previous state (its served
+ * requests, queues and clock) is shown. At rest, and for race lanes that have
+ * already finished, this is simply the current state.
+ * @param {object[]} steps - The run's steps.
+ * @returns {{head: number, state: object, progress: number}} The head position (possibly
+ * between cylinders), the state to show and how far along the move the head is (0 to 1).
+ */
+function getMotionFrame(steps) {
+    const index = clampStep(steps);
+    const state = steps[index];
+    if (window.headTravel === null || index === 0 || index !== window.currentStateIndex) {
+        return { head: state.head, state, progress: 1 };
+    }
+
+    const from = steps[index - 1];
+    const distance = Math.abs(state.head - from.head);
+    if (window.headTravel >= distance) {
+        return { head: state.head, state, progress: 1 };
+    }
+    return { head: from.head + Math.sign(state.head - from.head) * window.headTravel, state: from, progress: window.headTravel / distance };
 }
 
 /**
  * Main drawing function. Renders the current state to the canvas.
- * This function reads the global state (history, currentStateIndex)
- * and draws the corresponding frame.
+ * This function reads the global state (simHistory, currentStateIndex)
+ * and draws the corresponding frame, including the head movement chart.
  */
 function draw() {
+    drawPathChart();
+    drawRace();
+
     const ctx = window.ctx;
     ctx.clearRect(0, 0, window.canvas.width, window.canvas.height);
     
@@ -31,20 +85,20 @@ function draw() {
     const textColor = dark ? '#e2e8f0' : '#1f2937';
 
     // Helper to scale disk position to canvas position
-    const scaleX = (pos) => window.PADDING + (pos / window.DISK_MAX) * (canvasWidth - 2 * window.PADDING);
+    const scaleX = (pos) => cylinderToX(pos, canvasWidth);
 
     // --- Draw Track ---
     ctx.strokeStyle = trackColor;
     ctx.lineWidth = 3;
     ctx.beginPath();
-    ctx.moveTo(scaleX(0), window.HEAD_Y);
+    ctx.moveTo(scaleX(window.DISK_MIN), window.HEAD_Y);
     ctx.lineTo(scaleX(window.DISK_MAX), window.HEAD_Y);
     ctx.stroke();
 
     // Draw track ends
     ctx.beginPath();
-    ctx.moveTo(scaleX(0), window.HEAD_Y - 10);
-    ctx.lineTo(scaleX(0), window.HEAD_Y + 10);
+    ctx.moveTo(scaleX(window.DISK_MIN), window.HEAD_Y - 10);
+    ctx.lineTo(scaleX(window.DISK_MIN), window.HEAD_Y + 10);
     ctx.stroke();
     
     ctx.beginPath();
@@ -56,33 +110,429 @@ function draw() {
     ctx.fillStyle = textColor;
     ctx.font = '12px Inter';
     ctx.textAlign = 'center';
-    ctx.fillText('0', scaleX(0), window.HEAD_Y + 30);
+    ctx.fillText(window.DISK_MIN.toString(), scaleX(window.DISK_MIN), window.HEAD_Y + 30);
     ctx.fillText(window.DISK_MAX.toString(), scaleX(window.DISK_MAX), window.HEAD_Y + 30);
     
     // --- If simulation hasn't started, just draw inputs ---
-    if (window.history.length === 0) {
+    if (window.simHistory.length === 0) {
         const inputs = parseInputs(false); // parseInputs is defined in app.js
         if (inputs) {
-            let requestsToDraw = (window.algorithmSelect.value === 'fcfs') ? inputs.requests : [...new Set(inputs.requests)];
+            let requestsToDraw = getAlgorithm(window.algorithmSelect.value).servesDuplicates ? inputs.timedRequests : inputs.timedRequests.filter((r, i, all) => all.findIndex(o => o.cylinder === r.cylinder) === i);
             requestsToDraw.forEach(req => {
-                drawPoint(scaleX(req), window.REQUEST_Y, window.COLORS.pending, req, textColor);
+                if (req.arrival > 0) {
+                    drawPoint(scaleX(req.cylinder), window.REQUEST_Y, window.COLORS.future, `${req.cylinder}@${req.arrival}`, textColor, true);
+                } else {
+                    drawPoint(scaleX(req.cylinder), window.REQUEST_Y, window.COLORS.pending, req.cylinder, textColor);
+                }
             });
             drawHead(scaleX(inputs.startHead), window.HEAD_Y, window.COLORS.head, inputs.startHead, textColor);
         }
         return; // Exit draw function
     }
 
-    // --- Draw state from history ---
-    const { head, served } = window.history[window.currentStateIndex];
+    // --- Draw state from history (the head may be between two states) ---
+    const frame = getMotionFrame(window.simHistory);
+    const { head } = frame;
+    const { served, time, queues } = frame.state;
 
-    // Draw all original requests
+    // Draw all original requests; ones that haven't arrived yet are drawn hollow
     window.originalRequestSet.forEach(req => {
+        const arrival = window.requestArrivals.get(req) || 0;
+        if (!served.has(req) && arrival > time) {
+            drawPoint(scaleX(req), window.REQUEST_Y, window.COLORS.future, `${req}@${arrival}`, textColor, true);
+            return;
+        }
+        // N-Step-SCAN / FSCAN: show which sub-queue a pending request is waiting in
+        if (queues && queues.has(req)) {
+            const queueIndex = queues.get(req);
+            const color = (queueIndex === 0) ? window.COLORS.pending : window.COLORS.queued;
+            drawPoint(scaleX(req), window.REQUEST_Y, color, req, textColor);
+            drawQueueTag(scaleX(req), window.REQUEST_Y, queueIndex, textColor);
+            return;
+        }
         const color = served.has(req) ? window.COLORS.served : window.COLORS.pending;
         drawPoint(scaleX(req), window.REQUEST_Y, color, req, textColor);
     });
 
+    // Mark waiting requests that have waited longer than the starvation threshold
+    window.originalRequestSet.forEach(req => {
+        const arrival = window.requestArrivals.get(req) || 0;
+        if (!served.has(req) && arrival <= time && time - arrival > window.starvationThreshold) {
+            drawPoint(scaleX(req), window.REQUEST_Y, window.COLORS.starving, req, textColor);
+        }
+    });
+
+    // Mark requests that missed their deadline, whether served late or still overdue
+    window.originalRequestSet.forEach(req => {
+        const deadline = window.requestDeadlines.get(req);
+        if (deadline === undefined) return;
+        const servedLate = window.deadlineReport.some(r => r.cylinder === req && r.missed && r.finish <= time);
+        const overdue = !served.has(req) && time > deadline;
+        if (servedLate || overdue) {
+            drawPoint(scaleX(req), window.REQUEST_Y, window.COLORS.missed, req, textColor);
+        }
+    });
+
+    // Ring the request hovered in the request table
+    if (window.originalRequestSet.has(window.highlightedRequest)) {
+        drawHighlight(scaleX(window.highlightedRequest), window.REQUEST_Y, textColor);
+    }
+
     // Draw the head
-    drawHead(scaleX(head), window.HEAD_Y, window.COLORS.head, head, textColor);
+    drawHead(scaleX(head), window.HEAD_Y, window.COLORS.head, Math.round(head), textColor);
+}
+
+/**
+ * Draws the classic "head movement vs. time" chart.
+ * Cylinders run along the X axis (same scale as the track) and steps run
+ * down the Y axis. The path is drawn up to the current state, which is
+ * highlighted so the chart stays in sync with the timeline scrubber.
+ */
+function drawPathChart() {
+    const ctx = window.pathCtx;
+    const canvasWidth = window.pathCanvas.width;
+    const canvasHeight = window.pathCanvas.height;
+    ctx.clearRect(0, 0, canvasWidth, canvasHeight);
+
+    const dark = isDarkMode();
+    const trackColor = dark ? '#475569' : '#d1d5db';
+    const textColor = dark ? '#e2e8f0' : '#1f2937';
+    const lineColor = dark ? '#94a3b8' : '#6b7280';
+
+    const top = 30; // Room for the cylinder axis labels
+    const bottom = 15;
+    const scaleX = (pos) => cylinderToX(pos, canvasWidth);
+
+    // --- Draw cylinder axis ---
+    ctx.strokeStyle = trackColor;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(scaleX(window.DISK_MIN), top);
+    ctx.lineTo(scaleX(window.DISK_MAX), top);
+    ctx.stroke();
+
+    ctx.fillStyle = textColor;
+    ctx.font = '12px Inter';
+    ctx.textAlign = 'center';
+    ctx.fillText(window.DISK_MIN.toString(), scaleX(window.DISK_MIN), top - 10);
+    ctx.fillText(window.DISK_MAX.toString(), scaleX(window.DISK_MAX), top - 10);
+
+    const steps = window.simHistory;
+    if (steps.length === 0) return;
+
+    // Steps are spread over the full height so the chart doesn't rescale while playing
+    const rows = Math.max(steps.length - 1, 1);
+    const scaleY = (step) => top + (step / rows) * (canvasHeight - top - bottom);
+
+    // Faint guide lines for every request cylinder
+    ctx.strokeStyle = trackColor;
+    ctx.setLineDash([2, 4]);
+    window.originalRequestSet.forEach(req => {
+        ctx.beginPath();
+        ctx.moveTo(scaleX(req), top);
+        ctx.lineTo(scaleX(req), canvasHeight - bottom);
+        ctx.stroke();
+    });
+    ctx.setLineDash([]);
+
+    // --- Draw the path so far, up to the gliding head ---
+    const frame = getMotionFrame(steps);
+    const moving = frame.progress < 1;
+    const current = moving ? clampStep(steps) - 1 : clampStep(steps);
+    ctx.strokeStyle = lineColor;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(scaleX(steps[0].head), scaleY(0));
+    for (let i = 1; i <= current; i++) {
+        ctx.lineTo(scaleX(steps[i].head), scaleY(i));
+    }
+    if (moving) ctx.lineTo(scaleX(frame.head), scaleY(current + frame.progress));
+    ctx.stroke();
+
+    if (moving) {
+        ctx.beginPath();
+        ctx.arc(scaleX(frame.head), scaleY(current + frame.progress), window.POINT_RADIUS, 0, 2 * Math.PI);
+        ctx.fillStyle = window.COLORS.head;
+        ctx.fill();
+    }
+
+    for (let i = 0; i <= current; i++) {
+        const state = steps[i];
+        const prev = steps[i - 1];
+        // Skip the repeated final state so its label isn't drawn twice
+        if (i > 0 && state === prev) continue;
+        const isCurrent = (i === current && !moving);
+        const servedHere = state.servedOrder.length > (prev ? prev.servedOrder.length : 0);
+        const color = isCurrent ? window.COLORS.head : (servedHere ? window.COLORS.served : trackColor);
+        const radius = isCurrent ? window.POINT_RADIUS : window.POINT_RADIUS / 2;
+
+        ctx.beginPath();
+        ctx.arc(scaleX(state.head), scaleY(i), radius, 0, 2 * Math.PI);
+        ctx.fillStyle = color;
+        ctx.fill();
+
+        ctx.fillStyle = textColor;
+        ctx.font = isCurrent ? 'bold 11px Inter' : '11px Inter';
+        ctx.textAlign = 'left';
+        ctx.fillText(state.head, scaleX(state.head) + radius + 3, scaleY(i) + 4);
+    }
+}
+
+/**
+ * Draws race mode: one small track per algorithm, stacked like the main
+ * track, all at the same timeline step. Each lane shows its running seek
+ * total and how many requests it has served; the lane that is ahead (most
+ * requests served, then the least seek) is drawn in bold.
+ * Before a run, every lane shows the start position.
+ */
+function drawRace() {
+    if (!window.raceMode) return;
+
+    const canvas = window.raceCanvas;
+    const ctx = window.raceCtx;
+    const laneHeight = window.RACE_LANE_HEIGHT;
+    const lanes = getRaceLanes();
+    const height = lanes.length * laneHeight + 8;
+    if (canvas.height !== height) canvas.height = height; // Resizing also clears the canvas
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    const dark = isDarkMode();
+    const trackColor = dark ? '#475569' : '#d1d5db';
+    const textColor = dark ? '#e2e8f0' : '#1f2937';
+    const scaleX = (pos) => cylinderToX(pos, canvas.width);
+    const radius = window.POINT_RADIUS / 2;
+
+    // Who is ahead: most requests served, then the least seek. The optimal
+    // schedule is the baseline, not a competitor, so it never leads.
+    const ahead = (a, b) => (b.served - a.served) || (a.seek - b.seek);
+    const running = lanes.filter(lane => lane.seek !== null && !lane.reference);
+    const leader = running.length > 0 ? running.reduce((best, lane) => ahead(lane, best) < 0 ? lane : best) : null;
+
+    lanes.forEach((lane, index) => {
+        const trackY = index * laneHeight + 32;
+        const isLeader = leader !== null && !lane.reference && ahead(lane, leader) === 0 && window.currentStateIndex > 0;
+
+        // --- Lane track ---
+        ctx.strokeStyle = trackColor;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(scaleX(window.DISK_MIN), trackY);
+        ctx.lineTo(scaleX(window.DISK_MAX), trackY);
+        ctx.moveTo(scaleX(window.DISK_MIN), trackY - 6);
+        ctx.lineTo(scaleX(window.DISK_MIN), trackY + 6);
+        ctx.moveTo(scaleX(window.DISK_MAX), trackY - 6);
+        ctx.lineTo(scaleX(window.DISK_MAX), trackY + 6);
+        ctx.stroke();
+
+        // --- Labels: name on the left, running totals on the right ---
+        ctx.fillStyle = textColor;
+        ctx.font = isLeader ? 'bold 12px Inter' : (lane.reference ? 'italic 12px Inter' : '12px Inter');
+        ctx.textAlign = 'left';
+        ctx.fillText(`${lane.name}${isLeader ? ' 🏆' : ''}${lane.reference ? ' — baseline' : ''}`, scaleX(window.DISK_MIN), trackY - 18);
+        if (lane.seek !== null) {
+            ctx.textAlign = 'right';
+            ctx.fillText(`Seek ${lane.seek} | ${lane.served}/${lane.total} served${lane.finished ? ' ✓' : ''}`, scaleX(window.DISK_MAX), trackY - 18);
+        }
+
+        // --- Requests: served, pending, or not arrived yet ---
+        lane.requests.forEach(req => {
+            ctx.beginPath();
+            ctx.arc(scaleX(req.cylinder), trackY, radius, 0, 2 * Math.PI);
+            if (req.state === 'future') {
+                ctx.strokeStyle = window.COLORS.future;
+                ctx.lineWidth = 1;
+                ctx.stroke();
+            } else {
+                ctx.fillStyle = (req.state === 'served') ? window.COLORS.served : window.COLORS.pending;
+                ctx.fill();
+            }
+        });
+
+        // --- Head ---
+        const x = scaleX(lane.head);
+        ctx.beginPath();
+        ctx.moveTo(x, trackY);
+        ctx.lineTo(x - radius * 1.5, trackY - radius * 3);
+        ctx.lineTo(x + radius * 1.5, trackY - radius * 3);
+        ctx.closePath();
+        ctx.fillStyle = window.COLORS.head;
+        ctx.fill();
+    });
+}
+
+/**
+ * Collects what each race lane shows at the current timeline step.
+ * @returns {{name: string, reference: boolean, head: number, seek: number|null, served: number, total: number,
+ * finished: boolean, requests: {cylinder: number, state: string}[]}[]} One entry per algorithm; `reference`
+ * marks the optimal schedule's baseline lane.
+ */
+function getRaceLanes() {
+    // Before a run: every algorithm at the start position
+    if (window.raceLanes.length === 0) {
+        const inputs = parseInputs(false);
+        return listAlgorithms().map(algo => ({
+            name: algo.name,
+            reference: algo.id === 'optimal',
+            head: inputs ? inputs.startHead : window.DISK_MIN,
+            seek: null,
+            served: 0,
+            total: 0,
+            finished: false,
+            requests: inputs ? inputs.timedRequests.map(r => ({ cylinder: r.cylinder, state: r.arrival > 0 ? 'future' : 'pending' })) : []
+        }));
+    }
+
+    return window.raceLanes.map(lane => {
+        const index = clampStep(lane.steps);
+        const { head, state, progress } = getMotionFrame(lane.steps);
+        const served = new Set(state.servedOrder);
+        const cylinders = [...new Set(lane.steps[lane.steps.length - 1].servedOrder)];
+        return {
+            name: lane.name,
+            reference: lane.id === 'optimal',
+            head,
+            seek: state.seek,
+            served: state.servedOrder.length,
+            total: lane.steps[lane.steps.length - 1].servedOrder.length,
+            finished: index === lane.steps.length - 1 && index > 0 && progress === 1,
+            requests: cylinders.map(cylinder => ({
+                cylinder,
+                state: served.has(cylinder) ? 'served' : ((window.requestArrivals.get(cylinder) || 0) > state.time ? 'future' : 'pending')
+            }))
+        };
+    });
+}
+
+/**
+ * Draws the Monte Carlo benchmark as a horizontal box plot, one row per
+ * algorithm: whiskers at the minimum and maximum total seek, the box from
+ * the first to the third quartile, a line at the median and a dot at the mean.
+ * The optimal schedule's row is labelled as the baseline, as in the table.
+ * @param {{id: string, mean: number, median: number, min: number, max: number,
+ * q1: number, q3: number}[]} summary - From summarizeBenchmark.
+ */
+function drawBoxPlot(summary) {
+    const canvas = window.benchCanvas;
+    const ctx = window.benchCtx;
+    const rowHeight = 28;
+    const top = 30; // Room for the seek axis labels
+    canvas.width = canvas.parentElement.clientWidth;
+    canvas.height = top + summary.length * rowHeight + 8;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    const dark = isDarkMode();
+    const trackColor = dark ? '#475569' : '#d1d5db';
+    const textColor = dark ? '#e2e8f0' : '#1f2937';
+    const lineColor = dark ? '#94a3b8' : '#6b7280';
+
+    // Names take the left margin, as wide as the longest; the seek axis starts at 0
+    const labels = summary.map(row => `${getAlgorithm(row.id).name}${row.id === 'optimal' ? ' — baseline' : ''}`);
+    ctx.font = '12px Inter';
+    const left = 8 + Math.max(...labels.map(label => ctx.measureText(label).width)) + 16;
+    const right = canvas.width - window.PADDING;
+    const axisMax = Math.max(...summary.map(row => row.max), 1);
+    const scaleX = (seek) => left + (seek / axisMax) * (right - left);
+
+    // --- Draw seek axis ---
+    ctx.strokeStyle = trackColor;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(left, top);
+    ctx.lineTo(right, top);
+    ctx.stroke();
+
+    ctx.fillStyle = textColor;
+    ctx.font = '12px Inter';
+    ctx.textAlign = 'center';
+    for (let i = 0; i <= 4; i++) {
+        const seek = Math.round(axisMax * i / 4);
+        ctx.fillText(seek.toString(), scaleX(seek), top - 10);
+    }
+
+    summary.forEach((row, index) => {
+        const y = top + index * rowHeight + rowHeight / 2;
+        const boxTop = y - rowHeight / 3;
+        const boxHeight = rowHeight * 2 / 3;
+
+        ctx.fillStyle = textColor;
+        ctx.font = (row.id === 'optimal') ? 'italic 12px Inter' : '12px Inter';
+        ctx.textAlign = 'left';
+        ctx.fillText(labels[index], 8, y + 4);
+
+        // --- Whiskers ---
+        ctx.strokeStyle = lineColor;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(scaleX(row.min), y);
+        ctx.lineTo(scaleX(row.q1), y);
+        ctx.moveTo(scaleX(row.q3), y);
+        ctx.lineTo(scaleX(row.max), y);
+        ctx.moveTo(scaleX(row.min), boxTop + 3);
+        ctx.lineTo(scaleX(row.min), boxTop + boxHeight - 3);
+        ctx.moveTo(scaleX(row.max), boxTop + 3);
+        ctx.lineTo(scaleX(row.max), boxTop + boxHeight - 3);
+        ctx.stroke();
+
+        // --- Box and median ---
+        ctx.fillStyle = window.COLORS.pending;
+        ctx.fillRect(scaleX(row.q1), boxTop, Math.max(scaleX(row.q3) - scaleX(row.q1), 1), boxHeight);
+        ctx.strokeRect(scaleX(row.q1), boxTop, Math.max(scaleX(row.q3) - scaleX(row.q1), 1), boxHeight);
+        ctx.strokeStyle = textColor;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(scaleX(row.median), boxTop);
+        ctx.lineTo(scaleX(row.median), boxTop + boxHeight);
+        ctx.stroke();
+
+        // --- Mean ---
+        ctx.beginPath();
+        ctx.arc(scaleX(row.mean), y, 3, 0, 2 * Math.PI);
+        ctx.fillStyle = window.COLORS.head;
+        ctx.fill();
+    });
+}
+
+/**
+ * Finds the request drawn by draw() at a position on the track canvas, e.g.
+ * where the learner clicked in practice mode. A click on the point or its
+ * label counts; the closest point wins. Served points count too, since FCFS
+ * may come back to a cylinder it has already served.
+ * @param {number} x - The x-coordinate, in canvas pixels.
+ * @param {number} y - The y-coordinate, in canvas pixels.
+ * @returns {number|null} The cylinder, or null if no request is drawn there.
+ */
+function requestAtPoint(x, y) {
+    const radius = window.POINT_RADIUS;
+    // The point, and its label underneath
+    if (window.simHistory.length === 0 || y < window.REQUEST_Y - 2 * radius || y > window.REQUEST_Y + radius + 18) {
+        return null;
+    }
+
+    let closest = null;
+    let closestDistance = 2 * radius;
+    window.originalRequestSet.forEach(req => {
+        const distance = Math.abs(cylinderToX(req, window.canvas.width) - x);
+        if (distance <= closestDistance) {
+            closest = req;
+            closestDistance = distance;
+        }
+    });
+    return closest;
+}
+
+/**
+ * Helper to ring a request point drawn by drawPoint, e.g. the one hovered in the request table.
+ * @param {number} x - The x-coordinate of the point.
+ * @param {number} y - The y-coordinate of the point.
+ * @param {string} color - The ring color.
+ */
+function drawHighlight(x, y, color) {
+    const ctx = window.ctx;
+    ctx.beginPath();
+    ctx.arc(x, y, window.POINT_RADIUS + 4, 0, 2 * Math.PI);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.stroke();
 }
 
 /**
@@ -92,13 +542,22 @@ function draw() {
  * @param {string} color - The fill color.
  * @param {string} text - The request number to display.
  * @param {string} textColor - The color for the text label.
+ * @param {boolean} [hollow=false] - Draw an outline only (used for requests that haven't arrived).
  */
-function drawPoint(x, y, color, text, textColor) {
+function drawPoint(x, y, color, text, textColor, hollow = false) {
     const ctx = window.ctx;
     ctx.beginPath();
     ctx.arc(x, y, window.POINT_RADIUS, 0, 2 * Math.PI);
-    ctx.fillStyle = color;
-    ctx.fill();
+    if (hollow) {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([3, 2]);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    } else {
+        ctx.fillStyle = color;
+        ctx.fill();
+    }
     
     ctx.fillStyle = textColor;
     ctx.font = '12px Inter';
@@ -106,6 +565,21 @@ function drawPoint(x, y, color, text, textColor) {
     ctx.fillText(text, x, y + window.POINT_RADIUS + 14);
 }
 
+/**
+ * Helper to label a request with its sub-queue (Q1 is the queue being served).
+ * @param {number} x - The x-coordinate of the request.
+ * @param {number} y - The y-coordinate of the request.
+ * @param {number} queueIndex - The sub-queue index, 0 for the active queue.
+ * @param {string} textColor - The color for the text label.
+ */
+function drawQueueTag(x, y, queueIndex, textColor) {
+    const ctx = window.ctx;
+    ctx.fillStyle = textColor;
+    ctx.font = '10px Inter';
+    ctx.textAlign = 'center';
+    ctx.fillText(`Q${queueIndex + 1}`, x, y + window.POINT_RADIUS + 28);
+}
+
 /**
  * Helper to draw the disk head on the canvas.
  * @param {number} x - The x-coordinate.
@@ -0,0 +1,418 @@
+/**
+ * @file bench.js
+ * * Monte Carlo benchmarks: runs every algorithm over many random queues
+ * and summarizes the spread of their seek totals.
+ * - Part 1: Seeded random workloads (also used by the "Generate" button).
+ * - Part 2: Running a benchmark.
+ * - Part 3: Summaries and CSV export.
+ * - Part 4: Node module exports.
+ * * This file has no DOM access. In the browser it uses the globals from
+ * algo.js (load it first); under Node it requires that file.
+ */
+
+// The engine: algo.js's exports under Node, its globals in the browser
+const benchEngine = (typeof module !== 'undefined' && module.exports) ? require('./algo.js') : globalThis;
+
+// ===================================================================
+//
+// Part 1: Seeded random workloads.
+//
+// Workloads are drawn from a seeded PRNG, so the same seed and settings
+// always give the same queue. Distributions pick a cylinder index from
+// 0 to (cylinders - 1); the geometry's first cylinder is added afterwards.
+//
+// ===================================================================
+
+// Where the head starts in each random queue
+const HEAD_POLICIES = ['random', 'middle', 'start', 'fixed'];
+
+// How the requested cylinders are spread over the disk
+const WORKLOAD_DISTRIBUTIONS = ['uniform', 'normal', 'zipf', 'sequential', 'bimodal'];
+
+// Largest seed: seeds are unsigned 32-bit integers
+const MAX_SEED = 4294967295;
+
+/**
+ * Creates a seeded PRNG (mulberry32).
+ * @param {number} seed - An unsigned 32-bit integer.
+ * @returns {function(): number} A generator of floats in [0, 1).
+ */
+function createRandom(seed) {
+    let state = seed | 0;
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Picks a new seed for a workload that doesn't ask for one.
+ * @returns {number} An unsigned 32-bit integer.
+ */
+function randomSeed() {
+    return Math.floor(Math.random() * (MAX_SEED + 1));
+}
+
+/**
+ * Creates a sampler of cylinder indexes for a distribution.
+ * - 'uniform': every cylinder is equally likely.
+ * - 'normal': a hotspot at a random cylinder, with a standard deviation of a tenth of the disk.
+ * - 'zipf': Zipf-like (s = 1): the k-th most popular cylinder is requested about 1/k as
+ *   often as the most popular one. Popular cylinders are scattered over the disk.
+ * - 'sequential': runs of 2 to 8 consecutive cylinders from random starting points.
+ * - 'bimodal': two hotspots, a quarter and three quarters of the way across the disk.
+ * @param {string} distribution - The distribution id.
+ * @param {number} cylinders - The number of cylinders.
+ * @param {function(): number} random - A generator of floats in [0, 1).
+ * @returns {function(): number} A generator of cylinder indexes.
+ * @throws {Error} If the distribution is unknown.
+ */
+function createSampler(distribution, cylinders, random) {
+    const clamp = (index) => Math.min(Math.max(Math.round(index), 0), cylinders - 1);
+    // Box-Muller; 1 - random() keeps the logarithm away from 0
+    const gaussian = () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+    switch (distribution) {
+        case 'uniform':
+            return () => Math.floor(random() * cylinders);
+        case 'normal': {
+            const center = Math.floor(random() * cylinders);
+            return () => clamp(center + gaussian() * cylinders / 10);
+        }
+        case 'zipf': {
+            // Popularity ranks get their cylinder the first time they are drawn
+            const hot = new Map();
+            const used = new Set();
+            return () => {
+                const rank = Math.floor(Math.exp(random() * Math.log(cylinders + 1))) - 1;
+                if (!hot.has(rank)) {
+                    let index;
+                    do {
+                        index = Math.floor(random() * cylinders);
+                    } while (used.has(index));
+                    hot.set(rank, index);
+                    used.add(index);
+                }
+                return hot.get(rank);
+            };
+        }
+        case 'sequential': {
+            let next = 0;
+            let left = 0;
+            return () => {
+                if (left === 0 || next >= cylinders) {
+                    next = Math.floor(random() * cylinders);
+                    left = 2 + Math.floor(random() * 7);
+                }
+                left--;
+                return next++;
+            };
+        }
+        case 'bimodal':
+            return () => clamp((random() < 0.5 ? 0.25 : 0.75) * (cylinders - 1) + gaussian() * cylinders / 16);
+        default:
+            throw new Error(`Unknown distribution "${distribution}".`);
+    }
+}
+
+/**
+ * Finds the free cylinder index closest to a drawn one, so queues without
+ * duplicates keep the distribution's shape even when it is crowded.
+ * @param {number} index - The drawn index.
+ * @param {Set<number>} taken - The indexes already in the queue.
+ * @param {number} cylinders - The number of cylinders.
+ * @returns {number} The closest free index (lower one first on a tie).
+ */
+function nearestFreeIndex(index, taken, cylinders) {
+    for (let d = 0; d < cylinders; d++) {
+        if (index - d >= 0 && !taken.has(index - d)) return index - d;
+        if (index + d < cylinders && !taken.has(index + d)) return index + d;
+    }
+    return -1; // Unreachable while the queue is smaller than the disk
+}
+
+/**
+ * Generates a random queue, a start head and a direction.
+ * @param {number} count - The number of requests.
+ * @param {{min: number, max: number}} geometry - The disk geometry.
+ * @param {object} [options] - `distribution` (see WORKLOAD_DISTRIBUTIONS; default 'uniform'),
+ * `duplicates` (allow the same cylinder more than once; default false), `headPolicy`
+ * ('random', 'middle', 'start' or 'fixed'; default 'random'), `fixedHead` (for 'fixed') and
+ * `random` (a generator of floats in [0, 1), e.g. from createRandom(); default Math.random).
+ * @returns {{requests: number[], startHead: number, direction: string}} The workload.
+ * @throws {Error} If the disk is too small for the queue or an option is invalid.
+ */
+function generateRandomWorkload(count, geometry, options = {}) {
+    const { distribution = 'uniform', duplicates = false, headPolicy = 'random', fixedHead, random = Math.random } = options;
+    const cylinders = geometry.max - geometry.min + 1;
+    if (!duplicates && count > cylinders) {
+        throw new Error(`The disk only has ${cylinders} cylinders. Please enter a smaller count or allow duplicates.`);
+    }
+
+    const sample = createSampler(distribution, cylinders, random);
+    const taken = new Set();
+    const requests = [];
+    while (requests.length < count) {
+        let index = sample();
+        if (!duplicates) {
+            index = nearestFreeIndex(index, taken, cylinders);
+            taken.add(index);
+        }
+        requests.push(geometry.min + index);
+    }
+
+    let startHead;
+    switch (headPolicy) {
+        case 'random': startHead = geometry.min + Math.floor(random() * cylinders); break;
+        case 'middle': startHead = geometry.min + Math.floor((cylinders - 1) / 2); break;
+        case 'start': startHead = geometry.min; break;
+        case 'fixed': startHead = fixedHead; break;
+        default: throw new Error(`Unknown head position policy "${headPolicy}".`);
+    }
+    if (!Number.isInteger(startHead) || startHead < geometry.min || startHead > geometry.max) {
+        throw new Error(`Invalid Start Head. Must be between ${geometry.min} and ${geometry.max}.`);
+    }
+
+    const direction = random() > 0.5 ? 'right' : 'left';
+    return { requests, startHead, direction };
+}
+
+
+// ===================================================================
+//
+// Part 2: Running a benchmark.
+//
+// ===================================================================
+
+// How long a chunk of runBenchmarkInChunks() may run before it lets the page redraw, in ms
+const BENCHMARK_SLICE_MS = 50;
+
+/**
+ * Runs every algorithm over the same random queues.
+ * @param {object} config - The benchmark.
+ * @param {number} config.trials - How many random queues to run.
+ * @param {number} config.count - Requests per queue.
+ * @param {{min: number, max: number}} config.geometry - The disk geometry.
+ * @param {string} [config.distribution] - How requests are spread (see generateRandomWorkload).
+ * @param {boolean} [config.duplicates] - Allow the same cylinder more than once in a queue.
+ * @param {string} [config.headPolicy] - Where the head starts (see generateRandomWorkload).
+ * @param {number} [config.fixedHead] - The start head for the 'fixed' policy.
+ * @param {object} [config.options] - Algorithm settings (see simulate).
+ * @param {number} [config.seed] - Seeds the queues (see createRandom), and is kept with the results.
+ * @param {function(): number} [config.random] - A generator of floats in [0, 1), used instead of a seed;
+ * default Math.random.
+ * @param {object[]} [config.workloads] - The queues, from createBenchmarkWorkloads(config), if they were
+ * needed beforehand (e.g. to run user algorithms on them).
+ * @returns {{algorithms: string[], seed?: number, trials: {startHead: number, direction: string,
+ * requests: number[], seeks: object}[]}} The algorithm ids, the seed if one was given and, per trial,
+ * the workload and each algorithm's total seek.
+ * @throws {Error} If the settings are invalid or an algorithm misbehaves.
+ */
+function runBenchmark(config) {
+    const run = createBenchmarkRun(config);
+    runBenchmarkTrials(run);
+    return benchmarkResult(run);
+}
+
+/**
+ * Runs a benchmark in chunks of about BENCHMARK_SLICE_MS, handing control
+ * back to the page between them, so a long benchmark does not freeze it and
+ * its progress can be shown. The results are the same as runBenchmark()'s.
+ * @param {object} config - The benchmark (see runBenchmark).
+ * @param {object} callbacks - What to do as the benchmark runs.
+ * @param {function(number, number)} callbacks.onProgress - Gets the trials done and the total after each chunk.
+ * @param {function(object)} callbacks.onDone - Gets the results (see runBenchmark).
+ * @param {function(Error)} callbacks.onError - Gets the error if an algorithm misbehaves.
+ * @param {number} [sliceMs=BENCHMARK_SLICE_MS] - How long each chunk may run.
+ * @returns {function()} Stops the benchmark; no callback is called after it.
+ * @throws {Error} If the settings are invalid.
+ */
+function runBenchmarkInChunks(config, callbacks, sliceMs = BENCHMARK_SLICE_MS) {
+    const run = createBenchmarkRun(config);
+    let stopped = false;
+    const runChunk = () => {
+        if (stopped) return;
+        let done;
+        try {
+            done = runBenchmarkTrials(run, sliceMs);
+        } catch (err) {
+            callbacks.onError(err);
+            return;
+        }
+        if (done) {
+            callbacks.onDone(benchmarkResult(run));
+        } else {
+            callbacks.onProgress(run.results.length, run.workloads.length);
+            setTimeout(runChunk, 0);
+        }
+    };
+    setTimeout(runChunk, 0);
+    return () => { stopped = true; };
+}
+
+/**
+ * Checks a benchmark's settings and sets up its run.
+ * @param {object} config - The benchmark (see runBenchmark).
+ * @returns {object} The run: the settings, the `algorithms`, the `workloads` and the `results` so far.
+ * @throws {Error} If the settings are invalid.
+ */
+function createBenchmarkRun(config) {
+    return {
+        ...config,
+        options: config.options || {},
+        algorithms: benchEngine.listAlgorithms().map(algo => algo.id),
+        workloads: config.workloads || createBenchmarkWorkloads(config),
+        results: []
+    };
+}
+
+/**
+ * Draws the random queues of a benchmark, one per trial, in order.
+ * @param {object} config - The benchmark (see runBenchmark).
+ * @returns {{requests: number[], startHead: number, direction: string}[]} The workloads.
+ * @throws {Error} If the settings are invalid.
+ */
+function createBenchmarkWorkloads(config) {
+    const { trials, count, geometry, distribution, duplicates, headPolicy, fixedHead, seed } = config;
+    if (!Number.isInteger(trials) || trials < 1) {
+        throw new Error('Invalid number of trials. Must be 1 or greater.');
+    }
+    if (!Number.isInteger(count) || count < 1) {
+        throw new Error('Invalid queue length. Must be 1 or greater.');
+    }
+    const random = config.random || ((seed !== undefined) ? createRandom(seed) : Math.random);
+    const workloads = [];
+    while (workloads.length < trials) {
+        workloads.push(generateRandomWorkload(count, geometry, { distribution, duplicates, headPolicy, fixedHead, random }));
+    }
+    return workloads;
+}
+
+/**
+ * Runs the next trials of a benchmark, in order.
+ * @param {object} run - From createBenchmarkRun. Its `results` grow in place.
+ * @param {number} [budgetMs=Infinity] - Stop after the first trial that ends this long after the call.
+ * @returns {boolean} True once every trial has run.
+ * @throws {Error} If an algorithm misbehaves.
+ */
+function runBenchmarkTrials(run, budgetMs = Infinity) {
+    const { geometry, options } = run;
+    const started = Date.now();
+    while (run.results.length < run.workloads.length) {
+        const workload = run.workloads[run.results.length];
+        const seeks = {};
+        for (const id of run.algorithms) {
+            seeks[id] = benchEngine.getAlgorithmStats(id, workload.requests, workload.startHead, workload.direction, undefined, { ...options, geometry });
+        }
+        run.results.push({ ...workload, seeks });
+        if (Date.now() - started >= budgetMs) break;
+    }
+    return run.results.length === run.workloads.length;
+}
+
+/**
+ * Gets the results of a finished benchmark run.
+ * @param {object} run - From createBenchmarkRun.
+ * @returns {object} The results (see runBenchmark).
+ */
+function benchmarkResult(run) {
+    const result = { algorithms: run.algorithms, trials: run.results };
+    if (run.seed !== undefined) result.seed = run.seed;
+    return result;
+}
+
+
+// ===================================================================
+//
+// Part 3: Summaries and CSV export.
+//
+// ===================================================================
+
+/**
+ * Gets a percentile of sorted values, interpolating between the closest ranks.
+ * @param {number[]} sorted - The values, in ascending order.
+ * @param {number} p - The percentile, from 0 to 100.
+ * @returns {number} The percentile.
+ */
+function percentile(sorted, p) {
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Summarizes each algorithm's seek totals over a benchmark.
+ * @param {{algorithms: string[], trials: object[]}} benchmark - From runBenchmark.
+ * @returns {{id: string, mean: number, median: number, p95: number, std: number,
+ * min: number, max: number, q1: number, q3: number}[]} One summary per algorithm, in registry order.
+ * The standard deviation is the population standard deviation.
+ */
+function summarizeBenchmark(benchmark) {
+    return benchmark.algorithms.map(id => {
+        const seeks = benchmark.trials.map(trial => trial.seeks[id]).sort((a, b) => a - b);
+        const mean = seeks.reduce((sum, s) => sum + s, 0) / seeks.length;
+        const variance = seeks.reduce((sum, s) => sum + (s - mean) ** 2, 0) / seeks.length;
+        return {
+            id,
+            mean,
+            median: percentile(seeks, 50),
+            p95: percentile(seeks, 95),
+            std: Math.sqrt(variance),
+            min: seeks[0],
+            max: seeks[seeks.length - 1],
+            q1: percentile(seeks, 25),
+            q3: percentile(seeks, 75)
+        };
+    });
+}
+
+/**
+ * Formats the raw benchmark results as CSV: one row per trial, with the
+ * workload and one seek column per algorithm. A seeded benchmark also gets
+ * a seed column, so the queues can be generated again.
+ * @param {{algorithms: string[], seed?: number, trials: object[]}} benchmark - From runBenchmark.
+ * @returns {string} The CSV text.
+ */
+function benchmarkToCsv(benchmark) {
+    const seeded = (benchmark.seed !== undefined);
+    const header = ['trial', ...(seeded ? ['seed'] : []), 'start_head', 'direction', 'requests', ...benchmark.algorithms];
+    const rows = benchmark.trials.map((trial, index) => [
+        index + 1,
+        ...(seeded ? [benchmark.seed] : []),
+        trial.startHead,
+        trial.direction,
+        // Space-separated so the list stays in one CSV field
+        trial.requests.join(' '),
+        ...benchmark.algorithms.map(id => trial.seeks[id])
+    ]);
+    return [header, ...rows].map(row => row.join(',')).join('\n') + '\n';
+}
+
+
+// ===================================================================
+//
+// Part 4: Node module exports.
+//
+// ===================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        HEAD_POLICIES,
+        WORKLOAD_DISTRIBUTIONS,
+        MAX_SEED,
+        createRandom,
+        randomSeed,
+        createSampler,
+        generateRandomWorkload,
+        BENCHMARK_SLICE_MS,
+        runBenchmark,
+        createBenchmarkWorkloads,
+        runBenchmarkInChunks,
+        percentile,
+        summarizeBenchmark,
+        benchmarkToCsv
+    };
+}
@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+/**
+ * @file cli.js
+ * * Command-line front end for batch simulations. Runs fully offline under plain Node.
+ * - Part 1: Argument parsing.
+ * - Part 2: Output formatting (text or JSON).
+ * - Part 3: Main entry point.
+ * * This file depends only on algorithms.js (the headless engine).
+ *
+ * Usage: node cli.js --head 53 --requests "98,183,37,122,14,124,65,67" [options]
+ */
+
+const fs = require('fs');
+const {
+    DEFAULT_GEOMETRY,
+    DEFAULT_AGING_FACTOR,
+    DEFAULT_N_STEP_SIZE,
+    simulate,
+    resolveDrive,
+    parseRequestList,
+    formatStepTable,
+    formatTime,
+    getAlgorithm,
+    describeSettings,
+    listAlgorithms
+} = require('./algo.js');
+
+const USAGE = `Usage: node cli.js --head <cylinder> (--requests <list> | --file <path>) [options]
+
+Requests use the same syntax as the web app: cylinder[:sector][@arrival][!deadline],
+separated by commas (or newlines in a file), e.g. "98@0, 183@12!300, 37:40".
+
+Options:
+  -a, --algorithm <id>    Algorithm to run, or "all" (default: scan)
+  -r, --requests <list>   Request list
+  -f, --file <path>       Read the request list from a file ("-" for stdin)
+  -H, --head <cylinder>   Initial head position (required)
+  -d, --direction <dir>   Initial direction, left or right (default: right)
+      --min <cylinder>    First cylinder of the disk (default: ${DEFAULT_GEOMETRY.min})
+      --max <cylinder>    Last cylinder of the disk (default: ${DEFAULT_GEOMETRY.max})
+  -n, --n <size>          Sub-queue size for N-Step-SCAN (default: ${DEFAULT_N_STEP_SIZE})
+      --aging <factor>    Aging factor for SSTF with aging, in cylinders per time unit
+                          (per ms with --drive) (default: ${DEFAULT_AGING_FACTOR})
+      --drive             Time each move with the default drive model (milliseconds)
+      --json              Print the results as JSON
+  -l, --list              List the available algorithms
+  -h, --help              Show this help`;
+
+// ===================================================================
+//
+// Part 1: Argument parsing.
+//
+// ===================================================================
+
+// Every long option, and the short flags that stand for some of them
+const LONG_OPTIONS = ['algorithm', 'requests', 'file', 'head', 'direction', 'min', 'max', 'n', 'aging', 'drive', 'json', 'list', 'help'];
+const SHORT_FLAGS = { a: 'algorithm', r: 'requests', f: 'file', H: 'head', d: 'direction', n: 'n', l: 'list', h: 'help' };
+
+// Options that take no value
+const SWITCHES = ['drive', 'json', 'list', 'help'];
+
+/**
+ * Parses the command-line arguments.
+ * @param {string[]} argv - The arguments after `node cli.js`.
+ * @returns {object} The parsed options, keyed by long option name.
+ * @throws {Error} If an option is unknown or is missing its value.
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        let name;
+        let value;
+        if (arg.startsWith('--')) {
+            [name, value] = arg.slice(2).split(/=(.*)/s);
+        } else if (arg.startsWith('-') && arg.length === 2) {
+            name = SHORT_FLAGS[arg[1]];
+        }
+        if (!LONG_OPTIONS.includes(name)) {
+            throw new Error(`Unknown option "${arg}".`);
+        }
+
+        if (SWITCHES.includes(name)) {
+            args[name] = true;
+            continue;
+        }
+        if (value === undefined) {
+            value = argv[++i];
+            if (value === undefined) {
+                throw new Error(`Option "${arg}" needs a value.`);
+            }
+        }
+        args[name] = value;
+    }
+    return args;
+}
+
+/**
+ * Parses an integer option.
+ * @param {string|undefined} value - The option value.
+ * @param {string} label - The option name, for error messages.
+ * @param {number} [fallback] - Used when the option was not given.
+ * @returns {number} The integer.
+ * @throws {Error} If the value is not a whole number.
+ */
+function parseIntOption(value, label, fallback) {
+    if (value === undefined && fallback !== undefined) return fallback;
+    const number = Number(value);
+    if (value === undefined || value.trim() === '' || !Number.isInteger(number)) {
+        throw new Error(`${label} must be a whole number.`);
+    }
+    return number;
+}
+
+/**
+ * Turns the parsed options into a simulation job.
+ * @param {object} args - From parseArgs.
+ * @returns {{algorithms: string[], requests: object[], startHead: number, direction: string,
+ * geometry: {min: number, max: number}, options: {nStepSize: number, agingFactor: number, drive?: object}}} The job.
+ * @throws {Error} If an option is missing or invalid.
+ */
+function buildJob(args) {
+    if (args.requests !== undefined && args.file !== undefined) {
+        throw new Error('Use either --requests or --file, not both.');
+    }
+    let text = args.requests;
+    if (args.file !== undefined) {
+        text = fs.readFileSync(args.file === '-' ? 0 : args.file, 'utf8');
+    }
+    if (text === undefined) {
+        throw new Error('No requests given. Use --requests or --file.');
+    }
+
+    const requests = parseRequestList(text);
+    requests.forEach((r, index) => {
+        if (isNaN(r.cylinder) || isNaN(r.arrival) || (r.deadline !== undefined && isNaN(r.deadline)) || (r.sector !== undefined && isNaN(r.sector))) {
+            throw new Error(`Could not read request #${index + 1}. Expected cylinder[:sector][@arrival][!deadline].`);
+        }
+    });
+
+    const algorithm = args.algorithm || 'scan';
+    const algorithms = (algorithm === 'all') ? listAlgorithms().map(algo => algo.id) : [algorithm];
+    if (!algorithms.every(id => getAlgorithm(id))) {
+        throw new Error(`Unknown algorithm "${algorithm}". Use --list to see the available ones.`);
+    }
+
+    const nStepSize = parseIntOption(args.n, 'N', DEFAULT_N_STEP_SIZE);
+    if (nStepSize < 1) {
+        throw new Error('Invalid sub-queue size. N must be 1 or greater.');
+    }
+    const agingFactor = (args.aging === undefined) ? DEFAULT_AGING_FACTOR : Number(args.aging);
+    if (args.aging !== undefined && (args.aging.trim() === '' || !Number.isFinite(agingFactor) || agingFactor < 0)) {
+        throw new Error('Invalid aging factor. Must be 0 or greater.');
+    }
+
+    return {
+        algorithms,
+        requests,
+        startHead: parseIntOption(args.head, 'Head'),
+        direction: args.direction || 'right',
+        geometry: {
+            min: parseIntOption(args.min, 'First cylinder', DEFAULT_GEOMETRY.min),
+            max: parseIntOption(args.max, 'Last cylinder', DEFAULT_GEOMETRY.max)
+        },
+        options: args.drive ? { nStepSize, agingFactor, drive: resolveDrive(true) } : { nStepSize, agingFactor }
+    };
+}
+
+
+// ===================================================================
+//
+// Part 2: Output formatting.
+//
+// ===================================================================
+
+/**
+ * Formats one simulation as text: a summary followed by the TXT export's step table.
+ * @param {object} job - From buildJob.
+ * @param {string} id - The algorithm id.
+ * @param {{steps: object[], stats: object}} result - From simulate.
+ * @returns {string} The report.
+ */
+function formatText(job, id, result) {
+    const algo = getAlgorithm(id);
+    const { stats } = result;
+
+    let text = `--- DiskMotion Scheduling Trace (${algo.name}) ---\n`;
+    text += `Disk: ${job.geometry.min}-${job.geometry.max} | Head: ${job.startHead}`;
+    if (algo.usesDirection) {
+        text += ` | Direction: ${job.direction}`;
+    }
+    for (const setting of describeSettings(id, job.options)) {
+        text += ` | ${setting.shortLabel}: ${setting.text}`;
+    }
+    text += '\n';
+    text += `Served Sequence: ${stats.servedOrder.join(' -> ')}\n`;
+    text += `Total Seek Time: ${stats.totalSeek}\n`;
+    text += `Average Seek Time: ${stats.averageSeek.toFixed(2)}\n`;
+    if (stats.totalMs !== null) {
+        text += `Total Service Time: ${stats.totalMs.toFixed(2)} ms\n`;
+        text += `Average Service Time: ${stats.averageMs.toFixed(2)} ms\n`;
+    }
+    text += `Finish Time: ${formatTime(stats.finishTime)}${stats.totalMs !== null ? ' ms' : ''}\n`;
+    if (stats.deadlines.length > 0) {
+        const missed = stats.deadlines.filter(r => r.missed).length;
+        text += `Missed Deadlines: ${missed} of ${stats.deadlines.length}\n`;
+    }
+    text += '\n';
+    text += formatStepTable(result.steps);
+    return text;
+}
+
+/**
+ * Converts one simulation to plain JSON-ready data.
+ * @param {object} job - From buildJob.
+ * @param {string} id - The algorithm id.
+ * @param {{steps: object[], stats: object}} result - From simulate.
+ * @returns {object} The inputs, stats and steps.
+ */
+function toJson(job, id, result) {
+    return {
+        algorithm: id,
+        geometry: job.geometry,
+        startHead: job.startHead,
+        direction: job.direction,
+        options: job.options,
+        stats: result.stats,
+        // Sub-queues are a Map, which JSON can't hold
+        steps: result.steps.map(step => ({ ...step, queues: step.queues && Object.fromEntries(step.queues) }))
+    };
+}
+
+
+// ===================================================================
+//
+// Part 3: Main entry point.
+//
+// ===================================================================
+
+/**
+ * Runs the CLI.
+ * @param {string[]} argv - The arguments after `node cli.js`.
+ * @returns {number} The exit code.
+ */
+function main(argv) {
+    try {
+        const args = parseArgs(argv);
+        if (args.help || argv.length === 0) {
+            console.log(USAGE);
+            return 0;
+        }
+        if (args.list) {
+            for (const algo of listAlgorithms()) {
+                console.log(`${algo.id.padEnd(12)} ${algo.name} - ${algo.description}`);
+            }
+            return 0;
+        }
+
+        const job = buildJob(args);
+        const results = job.algorithms.map(id => ({
+            id,
+            result: simulate(id, job.requests, job.startHead, job.direction, job.geometry, job.options)
+        }));
+
+        if (args.json) {
+            const json = results.map(({ id, result }) => toJson(job, id, result));
+            console.log(JSON.stringify(json.length === 1 ? json[0] : json, null, 2));
+        } else {
+            console.log(results.map(({ id, result }) => formatText(job, id, result)).join('\n'));
+        }
+        return 0;
+    } catch (err) {
+        console.error(`Error: ${err.message}`);
+        return 1;
+    }
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { parseArgs, buildJob, main };
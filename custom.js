@@ -0,0 +1,403 @@
+/**
+ * @file custom.js
+ * * User-defined algorithms: a "pick next request" function written in the
+ * in-browser editor, run in a sandboxed worker and registered like any
+ * built-in algorithm, so it shows up in the animation, the stats and Compare All.
+ * - Part 1: Compiling and registering user algorithms.
+ * - Part 2: Running user algorithms in the sandbox.
+ * - Part 3: Inside the sandbox.
+ * - Part 4: Node module exports.
+ * * This file has no DOM access. In the browser it uses the globals from
+ * algo.js (load it first); under Node it requires that file. It is also
+ * the sandbox's own script: a Web Worker in the browser, a worker thread
+ * under Node.
+ */
+
+// The sandbox is a worker that loads this file; it needs the engine next to it
+if (typeof WorkerGlobalScope !== 'undefined' && typeof importScripts === 'function') {
+    importScripts('algo.js');
+}
+
+// The engine: algo.js's exports under Node, its globals in the browser
+const customEngine = (typeof module !== 'undefined' && module.exports) ? require('./algo.js') : globalThis;
+
+// ===================================================================
+//
+// Part 1: Compiling and registering user algorithms.
+//
+// A user algorithm is the body of
+//     function pickNext(head, pending, direction, served) { ... }
+// It gets the head's cylinder, the waiting cylinders (oldest first), the
+// direction the head is travelling ('left' or 'right') and the cylinders
+// served so far, and returns the cylinder to serve next. The arrays are
+// fresh copies, so user code can sort or change them freely.
+//
+// User code never runs on the page's thread. The sandbox (Part 2) runs
+// it on the inputs the page is about to use and sends back every pick it
+// made; the algorithm registered here replays those picks. A pick only
+// depends on the four arguments above, so they are all it is looked up by.
+//
+// ===================================================================
+
+// The user algorithms registered on this side, by id: `name`, `source`, the
+// picks the sandbox sent back (`picks`) and the runs they came from (`runs`)
+const USER_ALGORITHMS = new Map();
+
+/**
+ * Compiles the body of a "pick next request" function. Compiling does not
+ * run any of it.
+ * @param {string} source - The function body.
+ * @returns {function(number, number[], string, number[]): *} The function, which gets copies of the arrays.
+ * @throws {Error} If the code has a syntax error.
+ */
+function compileUserAlgorithm(source) {
+    let pickNext;
+    try {
+        pickNext = new Function('head', 'pending', 'direction', 'served', `'use strict';\n${source}`);
+    } catch (err) {
+        throw new Error((err instanceof SyntaxError) ? `Syntax error: ${err.message}.` : err.message);
+    }
+    return (head, pending, direction, served) => pickNext(head, [...pending], direction, [...served]);
+}
+
+/**
+ * Gets the registry id of a user algorithm from its name.
+ * @param {string} name - The name, e.g. 'SSTF look-ahead'.
+ * @returns {string} The id, e.g. 'user-sstf-look-ahead'.
+ * @throws {Error} If the name has no letters or digits.
+ */
+function userAlgorithmId(name) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    if (slug === '') {
+        throw new Error('Please give your algorithm a name with letters or digits.');
+    }
+    return `user-${slug}`;
+}
+
+/**
+ * Gets the key a pick is stored under: the arguments pickNext got.
+ * @param {number} head - The head's cylinder.
+ * @param {number[]} pending - The waiting cylinders.
+ * @param {string} direction - The head's direction.
+ * @param {number[]} served - The cylinders served so far.
+ * @returns {string} The key.
+ */
+function pickKey(head, pending, direction, served) {
+    return `${head}|${direction}|${pending.join()}|${served.join()}`;
+}
+
+/**
+ * Builds the registry entry of a user algorithm around a pick function.
+ * The head's direction follows its moves.
+ * @param {string} id - The algorithm id.
+ * @param {string} name - The display name.
+ * @param {function(number, number[], string, number[]): *} pick - Picks the next cylinder.
+ * @returns {object} The definition for registerAlgorithm().
+ */
+function userAlgorithmDefinition(id, name, pick) {
+    return {
+        id,
+        name,
+        description: 'Your own. Written in the editor.',
+        usesDirection: true,
+        next(waiting, state) {
+            if (waiting.length === 0) return null;
+
+            let cylinder;
+            try {
+                cylinder = pick(state.head, waiting.map(r => r.cylinder), state.direction, state.servedOrder);
+            } catch (err) {
+                throw new Error(`${name}: ${err.message}`);
+            }
+            const request = waiting.find(r => r.cylinder === cylinder);
+            if (!request) {
+                throw new Error(`${name} picked ${String(cylinder)}, which is not a pending request.`);
+            }
+            if (cylinder !== state.head) {
+                state.direction = (cylinder > state.head) ? 'right' : 'left';
+            }
+            return customEngine.serveRequest(request);
+        }
+    };
+}
+
+/**
+ * Registers a user algorithm, replacing an earlier version with the same
+ * name. It can only be run on inputs prepareUserAlgorithms() has run it on.
+ * @param {{name: string, source: string}} definition - The name and the body of pickNext.
+ * @returns {string} The algorithm id (see userAlgorithmId).
+ * @throws {Error} If the name is empty or the code does not compile.
+ */
+function registerUserAlgorithm(definition) {
+    const name = definition.name.trim();
+    const id = userAlgorithmId(name);
+    compileUserAlgorithm(definition.source); // Report syntax errors now
+
+    const algorithm = { name, source: definition.source, picks: new Map(), runs: new Set() };
+    unregisterUserAlgorithm(id);
+    USER_ALGORITHMS.set(id, algorithm);
+    customEngine.registerAlgorithm(userAlgorithmDefinition(id, name, (head, pending, direction, served) => {
+        const key = pickKey(head, pending, direction, served);
+        if (!algorithm.picks.has(key)) {
+            throw new Error('It has not been run on these inputs yet.');
+        }
+        return algorithm.picks.get(key);
+    }));
+    return id;
+}
+
+/**
+ * Removes a user algorithm and the picks kept for it.
+ * @param {string} id - The algorithm id.
+ * @returns {boolean} True if an algorithm was removed.
+ */
+function unregisterUserAlgorithm(id) {
+    USER_ALGORITHMS.delete(id);
+    return customEngine.unregisterAlgorithm(id);
+}
+
+/**
+ * Forgets the picks kept for every user algorithm, e.g. after a benchmark
+ * that ran them on many queues. They are run again when next needed.
+ */
+function forgetUserRuns() {
+    for (const algorithm of USER_ALGORITHMS.values()) {
+        algorithm.picks.clear();
+        algorithm.runs.clear();
+    }
+}
+
+
+// ===================================================================
+//
+// Part 2: Running user algorithms in the sandbox.
+//
+// The sandbox is a worker, so user code cannot reach the page: it has
+// no DOM, no storage and none of the page's variables, and the worker's
+// own ways out (network requests, loading scripts, starting workers) are
+// removed before user code is compiled. Every run must report back
+// within USER_TIME_LIMIT_MS; otherwise the worker is terminated, which
+// stops any endless loop however it was written. A fresh worker is
+// started for every batch of runs.
+//
+// ===================================================================
+
+// How long the sandbox may take over one run of one algorithm, in ms
+const USER_TIME_LIMIT_MS = 2000;
+
+// Marks the worker thread started by startSandbox() under Node
+const SANDBOX_WORKER_DATA = 'custom.js sandbox';
+
+// The URL of this file in the browser, which the sandbox worker loads
+const CUSTOM_SCRIPT_URL = (typeof document !== 'undefined' && document.currentScript) ? document.currentScript.src : null;
+
+/**
+ * Starts a sandbox worker: a Web Worker in the browser, a worker thread under Node.
+ * @param {function(object)} onMessage - Gets each message the sandbox sends.
+ * @param {function(Error)} onError - Gets the error if the sandbox itself fails.
+ * @returns {{send: function(object), stop: function()}} Sends a message to it, or terminates it.
+ * @throws {Error} If no worker can be started.
+ */
+function startSandbox(onMessage, onError) {
+    if (typeof module !== 'undefined' && module.exports) {
+        const { Worker: ThreadWorker } = require('worker_threads');
+        const thread = new ThreadWorker(__filename, { workerData: SANDBOX_WORKER_DATA });
+        thread.on('message', onMessage);
+        thread.on('error', onError);
+        return { send: message => thread.postMessage(message), stop: () => thread.terminate() };
+    }
+
+    let worker;
+    try {
+        worker = new Worker(CUSTOM_SCRIPT_URL);
+    } catch (err) {
+        throw new Error('Your browser would not start the worker that runs your algorithm. ' +
+            'Some browsers do not allow workers on pages opened from a file: serve the folder over HTTP ' +
+            '(e.g. `python3 -m http.server`) and open it from there.');
+    }
+    worker.onmessage = (e) => onMessage(e.data);
+    worker.onerror = (e) => {
+        e.preventDefault();
+        onError(new Error(`The worker that runs your algorithm failed: ${e.message}`));
+    };
+    return { send: message => worker.postMessage(message), stop: () => worker.terminate() };
+}
+
+/**
+ * Runs user algorithms in the sandbox on the given inputs and keeps their
+ * picks, so the registered algorithms can be run on those inputs (by
+ * simulate() and the rest of the engine). Runs done before are skipped;
+ * if none are left, `callback` is called straight away.
+ * @param {string[]} ids - The algorithms that will be run. Ids that are not user algorithms are ignored.
+ * @param {{requests: Array, startHead: number, direction: string, geometry: object, options: object}[]} jobs - The
+ * inputs, as simulate() takes them.
+ * @param {function(Error|null)} callback - Gets null once every run is done, or the first error: a user
+ * algorithm that throws, picks a cylinder that is not pending or runs out of time.
+ * @param {object} [settings] - Sandbox settings.
+ * @param {number} [settings.timeLimit=USER_TIME_LIMIT_MS] - How long one run may take, in ms.
+ * @returns {function()} Stops the runs; `callback` is not called after it.
+ */
+function prepareUserAlgorithms(ids, jobs, callback, settings = {}) {
+    const { timeLimit = USER_TIME_LIMIT_MS } = settings;
+    const algorithms = [];
+    for (const id of new Set(ids)) {
+        const algorithm = USER_ALGORITHMS.get(id);
+        if (!algorithm) continue;
+        const todo = jobs.filter(job => !algorithm.runs.has(JSON.stringify(job)));
+        if (todo.length > 0) algorithms.push({ id, algorithm, jobs: todo });
+    }
+    if (algorithms.length === 0) {
+        callback(null);
+        return () => {};
+    }
+
+    let sandbox = null;
+    let timer = null;
+    let running = algorithms[0].algorithm.name;
+    // Runs still to report their picks; `done` only counts once there are none
+    let runsLeft = algorithms.reduce((count, a) => count + a.jobs.length, 0);
+    const finish = (err) => {
+        clearTimeout(timer);
+        if (sandbox) sandbox.stop();
+        sandbox = null;
+        callback(err);
+    };
+    const restartTimer = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => finish(new Error(`${running} took longer than ${timeLimit / 1000} seconds, ` +
+            'so it was stopped. Check for an endless loop.')), timeLimit);
+    };
+    // Messages after the first `done` or error find the sandbox gone and are ignored
+    const handleMessage = (message) => {
+        if (!sandbox) return;
+        const entry = algorithms.find(a => a.id === message.id);
+        if (message.type === 'running' && entry) {
+            running = entry.algorithm.name;
+            restartTimer();
+        } else if (message.type === 'picks' && entry) {
+            // Picks of a replaced algorithm are dropped with it
+            for (const [key, cylinder] of message.picks) entry.algorithm.picks.set(key, cylinder);
+            entry.algorithm.runs.add(JSON.stringify(entry.jobs[message.job]));
+            runsLeft--;
+            restartTimer();
+        } else if (message.type === 'error') {
+            finish(new Error(message.message));
+        } else if (message.type === 'done') {
+            finish(runsLeft > 0 ? new Error(`${running} stopped before it was run on every input.`) : null);
+        }
+    };
+
+    try {
+        sandbox = startSandbox(handleMessage, err => { if (sandbox) finish(err); });
+    } catch (err) {
+        callback(err);
+        return () => {};
+    }
+    restartTimer();
+    sandbox.send({
+        algorithms: algorithms.map(({ id, algorithm, jobs: todo }) => ({ id, name: algorithm.name, source: algorithm.source, jobs: todo }))
+    });
+    return () => {
+        clearTimeout(timer);
+        if (sandbox) sandbox.stop();
+        sandbox = null;
+    };
+}
+
+
+// ===================================================================
+//
+// Part 3: Inside the sandbox.
+//
+// ===================================================================
+
+// The sandbox's ways out, removed before user code is compiled. Without
+// postMessage, user code cannot send the page replies of its own.
+const SANDBOX_REMOVED_GLOBALS = [
+    'fetch', 'XMLHttpRequest', 'WebSocket', 'WebTransport', 'EventSource', 'BroadcastChannel', 'importScripts',
+    'Worker', 'SharedWorker', 'indexedDB', 'caches', 'process', 'require', 'postMessage'
+];
+
+/**
+ * Removes SANDBOX_REMOVED_GLOBALS from the worker's global object and its prototypes.
+ */
+function lockDownSandbox() {
+    for (const name of SANDBOX_REMOVED_GLOBALS) {
+        for (let scope = globalThis; scope; scope = Object.getPrototypeOf(scope)) {
+            try {
+                delete scope[name];
+            } catch (err) {
+                // A few built-ins cannot be deleted; user code may still see those
+            }
+        }
+    }
+}
+
+/**
+ * Runs user algorithms on their inputs and sends back their picks, run by
+ * run. Stops at the first error.
+ * @param {{algorithms: {id: string, name: string, source: string, jobs: object[]}[]}} message - From prepareUserAlgorithms().
+ * @param {function(object)} reply - Sends a message back: `running`, `picks`, `error` or `done`.
+ */
+function runInSandbox(message, reply) {
+    lockDownSandbox();
+    for (const { id, name, source, jobs } of message.algorithms) {
+        reply({ type: 'running', id });
+        let pick;
+        try {
+            pick = compileUserAlgorithm(source);
+        } catch (err) {
+            reply({ type: 'error', message: `${name}: ${err.message}` });
+            return;
+        }
+
+        let picks = [];
+        customEngine.unregisterAlgorithm(id);
+        customEngine.registerAlgorithm(userAlgorithmDefinition(id, name, (head, pending, direction, served) => {
+            const cylinder = pick(head, pending, direction, served);
+            picks.push([pickKey(head, pending, direction, served), cylinder]);
+            return cylinder;
+        }));
+        for (let job = 0; job < jobs.length; job++) {
+            const { requests, startHead, direction, geometry, options } = jobs[job];
+            try {
+                customEngine.simulate(id, requests, startHead, direction, geometry, options);
+            } catch (err) {
+                reply({ type: 'error', message: err.message });
+                return;
+            }
+            reply({ type: 'picks', id, job, picks });
+            picks = [];
+        }
+    }
+    reply({ type: 'done' });
+}
+
+if (typeof WorkerGlobalScope !== 'undefined' && typeof importScripts === 'function') {
+    // The only way left to reach the page, kept where user code cannot see it
+    const reply = self.postMessage.bind(self);
+    lockDownSandbox();
+    self.onmessage = (e) => runInSandbox(e.data, reply);
+} else if (typeof module !== 'undefined' && module.exports && require('worker_threads').workerData === SANDBOX_WORKER_DATA) {
+    const { parentPort } = require('worker_threads');
+    parentPort.on('message', message => runInSandbox(message, answer => parentPort.postMessage(answer)));
+}
+
+
+// ===================================================================
+//
+// Part 4: Node module exports.
+//
+// ===================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        USER_TIME_LIMIT_MS,
+        compileUserAlgorithm,
+        userAlgorithmId,
+        registerUserAlgorithm,
+        unregisterUserAlgorithm,
+        prepareUserAlgorithms,
+        forgetUserRuns
+    };
+}
@@ -0,0 +1,215 @@
+/**
+ * @file grade.js
+ * * Grading mode: checks a student's hand-computed answer (the served
+ * sequence and the total seek) against the steps of a run, and explains
+ * where it went wrong.
+ * - Part 1: Reading answers.
+ * - Part 2: Grading.
+ * - Part 3: Node module exports.
+ * * This file has no dependencies and no DOM access, so it runs in the
+ * browser and under Node alike. The steps come from simulate() (or the
+ * app's simulation history, which holds the same steps).
+ */
+
+// ===================================================================
+//
+// Part 1: Reading answers.
+//
+// ===================================================================
+
+/**
+ * Parses a served sequence as students write it: cylinders separated by
+ * commas, spaces or arrows (e.g. `65, 67, 37` or `65 -> 67 -> 37`).
+ * @param {string} text - The sequence.
+ * @returns {number[]} The cylinders, in order.
+ * @throws {Error} If an entry is not a whole number.
+ */
+function parseAnswerSequence(text) {
+    return text.split(/[\s,;>→-]+/)
+        .filter(token => token !== '')
+        .map(token => {
+            if (!/^\d+$/.test(token)) {
+                throw new Error(`Invalid served sequence. "${token}" is not a cylinder number.`);
+            }
+            return parseInt(token, 10);
+        });
+}
+
+/**
+ * Parses a total seek.
+ * @param {string} text - The total, e.g. `236`.
+ * @returns {number} The total.
+ * @throws {Error} If the total is not a number of 0 or greater.
+ */
+function parseAnswerTotal(text) {
+    const total = Number(text.trim());
+    if (text.trim() === '' || !Number.isFinite(total) || total < 0) {
+        throw new Error('Invalid total seek. Must be a number of 0 or greater.');
+    }
+    return total;
+}
+
+
+// ===================================================================
+//
+// Part 2: Grading.
+//
+// Courses disagree on whether C-SCAN's return sweep (the jump from one
+// end of the disk back to the other) counts towards the total seek. The
+// app counts it; grading can accept the total without it as well.
+//
+// ===================================================================
+
+/**
+ * Lists the head movements between consecutive steps.
+ * @param {{head: number, request: number|null}[]} steps - The steps, starting with the start position.
+ * @param {{min: number, max: number}} geometry - The disk geometry.
+ * @returns {{from: number, to: number, distance: number, seek: number, request: number|null,
+ * returnSweep: boolean}[]} One entry per move, with the running seek total after it. `returnSweep`
+ * marks a move that serves nothing and runs from one end of the disk to the other.
+ */
+function listMoves(steps, geometry) {
+    const moves = [];
+    for (let i = 1; i < steps.length; i++) {
+        const from = steps[i - 1].head;
+        const to = steps[i].head;
+        const isEnd = (cylinder) => cylinder === geometry.min || cylinder === geometry.max;
+        moves.push({
+            from,
+            to,
+            distance: Math.abs(to - from),
+            seek: steps[i].seek,
+            request: steps[i].request,
+            returnSweep: steps[i].request === null && from !== to && isEnd(from) && isEnd(to)
+        });
+    }
+    return moves;
+}
+
+/**
+ * Writes out the seek arithmetic of a stretch of the head's path.
+ * @param {number[]} path - The cylinders visited, e.g. `[53, 199, 37]`.
+ * @returns {string} E.g. `|199 - 53| + |37 - 199| = 146 + 162 = 308`.
+ */
+function formatSeekArithmetic(path) {
+    const terms = [];
+    const distances = [];
+    for (let i = 1; i < path.length; i++) {
+        terms.push(`|${path[i]} - ${path[i - 1]}|`);
+        distances.push(Math.abs(path[i] - path[i - 1]));
+    }
+    const total = distances.reduce((sum, d) => sum + d, 0);
+    if (terms.length === 0) return '0';
+    if (terms.length === 1) return `${terms[0]} = ${total}`;
+    return `${terms.join(' + ')} = ${distances.join(' + ')} = ${total}`;
+}
+
+/**
+ * Grades a student's answer against a run.
+ * A leading entry equal to the start head is ignored, since many students
+ * write the head's path rather than just the served requests.
+ * @param {{head: number, seek: number, request: number|null}[]} steps - The run's steps, starting with the start position.
+ * @param {{servedOrder: number[], totalSeek: number}} answer - The student's answer.
+ * @param {object} options - The grading settings.
+ * @param {{min: number, max: number}} options.geometry - The disk geometry.
+ * @param {string} options.algorithm - The algorithm id.
+ * @param {boolean} [options.eitherReturnSweep=false] - For C-SCAN, also accept the total without the return sweep.
+ * @returns {{correct: boolean, orderCorrect: boolean, totalCorrect: boolean, expectedOrder: number[],
+ * expectedTotal: number, acceptedTotals: number[], divergence: object|null, moves: object[]}}
+ * The verdict. `divergence` describes the first served position that differs: `position` (from 1),
+ * `expected` and `actual` (null past the end of either sequence), `from` (the head after the last
+ * agreed service), `path` (the cylinders the head visits on its way to the expected request),
+ * `seekBefore`, `seekAfter` and, if the student named a request, `actualDistance`. `moves` lists
+ * every head movement (see listMoves).
+ */
+function gradeAnswer(steps, answer, options) {
+    const { geometry, algorithm, eitherReturnSweep = false } = options;
+    const moves = listMoves(steps, geometry);
+    const startHead = steps[0].head;
+    const expectedOrder = moves.filter(move => move.request !== null).map(move => move.request);
+    const expectedTotal = (moves.length > 0) ? moves[moves.length - 1].seek : 0;
+
+    let servedOrder = answer.servedOrder;
+    if (servedOrder[0] === startHead && expectedOrder[0] !== startHead) {
+        servedOrder = servedOrder.slice(1);
+    }
+
+    const acceptedTotals = [expectedTotal];
+    if (eitherReturnSweep && algorithm === 'c-scan') {
+        const returnDistance = moves.filter(move => move.returnSweep).reduce((sum, move) => sum + move.distance, 0);
+        if (returnDistance > 0) acceptedTotals.push(expectedTotal - returnDistance);
+    }
+
+    // Walk the expected path service by service until the answers part ways
+    let divergence = null;
+    let from = startHead;
+    let seekBefore = 0;
+    let path = [startHead];
+    let position = 0;
+    for (const move of moves) {
+        path.push(move.to);
+        if (move.request === null) continue;
+
+        const actual = (position < servedOrder.length) ? servedOrder[position] : null;
+        if (actual !== move.request) {
+            divergence = {
+                position: position + 1,
+                expected: move.request,
+                actual,
+                from,
+                path,
+                seekBefore,
+                seekAfter: move.seek,
+                actualDistance: (actual === null) ? null : Math.abs(actual - from)
+            };
+            break;
+        }
+        position++;
+        from = move.to;
+        seekBefore = move.seek;
+        path = [from];
+    }
+    if (!divergence && servedOrder.length > expectedOrder.length) {
+        const actual = servedOrder[expectedOrder.length];
+        divergence = {
+            position: expectedOrder.length + 1,
+            expected: null,
+            actual,
+            from,
+            path: [from],
+            seekBefore,
+            seekAfter: seekBefore,
+            actualDistance: Math.abs(actual - from)
+        };
+    }
+
+    const orderCorrect = (divergence === null);
+    const totalCorrect = acceptedTotals.includes(answer.totalSeek);
+    return {
+        correct: orderCorrect && totalCorrect,
+        orderCorrect,
+        totalCorrect,
+        expectedOrder,
+        expectedTotal,
+        acceptedTotals,
+        divergence,
+        moves
+    };
+}
+
+
+// ===================================================================
+//
+// Part 3: Node module exports.
+//
+// ===================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseAnswerSequence,
+        parseAnswerTotal,
+        listMoves,
+        formatSeekArithmetic,
+        gradeAnswer
+    };
+}
@@ -0,0 +1,287 @@
+/**
+ * @file session.js
+ * * Saved sessions: a run's inputs and its full step history as JSON, so a
+ * run can be sent to someone else and reopened, and permalinks that carry a
+ * scenario in the URL hash.
+ * - Part 1: Writing sessions.
+ * - Part 2: Reading and validating sessions.
+ * - Part 3: Permalinks.
+ * - Part 4: Node module exports.
+ * * This file has no dependencies and no DOM access, so it runs in the
+ * browser and under Node alike. The requests are checked against the
+ * session's geometry here, so a bad file names the request at fault;
+ * whether the algorithm exists and the drive settings are valid is checked
+ * when the run is rebuilt (see simulate()).
+ */
+
+// Marks the file as a DiskMotion session, and the layout it uses
+const SESSION_FORMAT = 'diskmotion-session';
+const SESSION_VERSION = 1;
+
+// ===================================================================
+//
+// Part 1: Writing sessions.
+//
+// ===================================================================
+
+/**
+ * Builds a session from a run's inputs and its step history.
+ * @param {object} run - The run.
+ * @param {string} run.algorithm - The algorithm id.
+ * @param {{cylinder: number, arrival: number, deadline?: number, sector?: number}[]} run.requests - The requests, in input order.
+ * @param {number} run.startHead - The initial head position.
+ * @param {string} run.direction - The initial direction.
+ * @param {{min: number, max: number}} run.geometry - The disk geometry.
+ * @param {{nStepSize: number, agingFactor?: number, drive: object|null}} run.options - The algorithm and drive settings.
+ * @param {object[]} run.history - The steps of the run.
+ * @param {number} run.step - The step on screen.
+ * @param {{seed: number, distribution: string, duplicates: boolean}|null} [run.generator] - The
+ * random generator settings, if the requests came from the generator unchanged.
+ * @returns {object} The session, ready for JSON.stringify().
+ */
+function createSession(run) {
+    return {
+        format: SESSION_FORMAT,
+        version: SESSION_VERSION,
+        algorithm: run.algorithm,
+        requests: run.requests,
+        startHead: run.startHead,
+        direction: run.direction,
+        geometry: run.geometry,
+        options: { nStepSize: run.options.nStepSize, agingFactor: run.options.agingFactor, drive: run.options.drive || null },
+        step: run.step,
+        generator: run.generator || null,
+        // Sets and Maps don't survive JSON
+        history: run.history.map(step => ({
+            ...step,
+            served: step.served && [...step.served],
+            queues: step.queues && Object.fromEntries(step.queues)
+        }))
+    };
+}
+
+
+// ===================================================================
+//
+// Part 2: Reading and validating sessions.
+//
+// ===================================================================
+
+/**
+ * Parses and validates a session file.
+ * @param {string} text - The file contents.
+ * @returns {object} The session (see createSession).
+ * @throws {Error} If the file is not a valid session.
+ */
+function parseSession(text) {
+    let session;
+    try {
+        session = JSON.parse(text);
+    } catch (err) {
+        throw new Error('Invalid session file. It is not valid JSON.');
+    }
+
+    if (!isObject(session) || session.format !== SESSION_FORMAT) {
+        throw new Error('Invalid session file. It was not exported from DiskMotion.');
+    }
+    if (session.version !== SESSION_VERSION) {
+        throw new Error(`Unsupported session version ${session.version}. Expected version ${SESSION_VERSION}.`);
+    }
+    if (typeof session.algorithm !== 'string' || session.algorithm === '') {
+        throw new Error('Invalid session file. The algorithm is missing.');
+    }
+    if (!Array.isArray(session.requests) || session.requests.length === 0) {
+        throw new Error('Invalid session file. The request list is missing or empty.');
+    }
+    const { geometry } = session;
+    if (!isObject(geometry) || !Number.isInteger(geometry.min) || !Number.isInteger(geometry.max) ||
+        geometry.min < 0 || geometry.max <= geometry.min) {
+        throw new Error('Invalid session file. The disk geometry is malformed.');
+    }
+    // The request box can't show fractional, negative or off-disk values, so they are reported here
+    session.requests.forEach((r, index) => {
+        const label = `Invalid session file. Request #${index + 1}`;
+        if (!isObject(r) || !Number.isInteger(r.cylinder)) {
+            throw new Error(`${label} is malformed.`);
+        }
+        if (r.cylinder < geometry.min || r.cylinder > geometry.max) {
+            throw new Error(`${label} is on cylinder ${r.cylinder}, outside the disk (${geometry.min}-${geometry.max}).`);
+        }
+        if (!isCount(r.arrival)) {
+            throw new Error(`${label} has an invalid arrival time. It must be a whole number, 0 or more.`);
+        }
+        if (r.deadline !== undefined && !isCount(r.deadline)) {
+            throw new Error(`${label} has an invalid deadline. It must be a whole number, 0 or more.`);
+        }
+        if (r.sector !== undefined && !isCount(r.sector)) {
+            throw new Error(`${label} has an invalid sector. It must be a whole number, 0 or more.`);
+        }
+    });
+    if (!Number.isInteger(session.startHead) || session.startHead < geometry.min || session.startHead > geometry.max) {
+        throw new Error(`Invalid session file. The initial head position must be a whole number between ${geometry.min} and ${geometry.max}.`);
+    }
+    if (session.direction !== 'left' && session.direction !== 'right') {
+        throw new Error('Invalid session file. The direction must be "left" or "right".');
+    }
+    // Sessions saved before SSTF with aging have no aging factor, and use the default
+    if (!isObject(session.options) || !Number.isInteger(session.options.nStepSize) ||
+        (session.options.agingFactor !== undefined && !(typeof session.options.agingFactor === 'number' && session.options.agingFactor >= 0)) ||
+        (session.options.drive !== null && !isObject(session.options.drive))) {
+        throw new Error('Invalid session file. The algorithm options are malformed.');
+    }
+    if (!Array.isArray(session.history) || session.history.length === 0 ||
+        !session.history.every(step => isObject(step) && Number.isInteger(step.head) && Array.isArray(step.servedOrder))) {
+        throw new Error('Invalid session file. The step history is missing or malformed.');
+    }
+    if (!Number.isInteger(session.step) || session.step < 0 || session.step >= session.history.length) {
+        throw new Error(`Invalid session file. The saved step must be between 0 and ${session.history.length - 1}.`);
+    }
+    // Sessions saved before the seeded generator have no generator field
+    if (session.generator === undefined) session.generator = null;
+    if (session.generator !== null && (!isObject(session.generator) ||
+        !Number.isInteger(session.generator.seed) || session.generator.seed < 0 ||
+        typeof session.generator.distribution !== 'string' || typeof session.generator.duplicates !== 'boolean')) {
+        throw new Error('Invalid session file. The generator settings are malformed.');
+    }
+    return session;
+}
+
+/**
+ * Checks for a whole number of 0 or more, such as an arrival time.
+ * @param {*} value - The value.
+ * @returns {boolean} True for non-negative integers.
+ */
+function isCount(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Checks for a plain object (not null or an array).
+ * @param {*} value - The value.
+ * @returns {boolean} True for objects.
+ */
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+
+// ===================================================================
+//
+// Part 3: Permalinks.
+//
+// A permalink keeps the scenario in the URL hash, e.g.
+// `#algo=scan&req=98,183@12!300,37&head=53&dir=right&step=4`.
+// The geometry and N are only added when they differ from the defaults,
+// the drive settings only when the drive model is on, and `step` only
+// when a run is on screen.
+//
+// ===================================================================
+
+// Characters that encodeURIComponent() escapes but a URL hash can hold as they are
+const READABLE_HASH_CHARACTERS = { '%2C': ',', '%40': '@', '%3A': ':' };
+
+// The drive settings in the `drive` parameter, in order (see DEFAULT_DRIVE in algo.js)
+const PERMALINK_DRIVE_KEYS = ['rpm', 'sectorsPerTrack', 'transferSectors', 'settleMs', 'accelMs', 'coastAfter', 'coastMsPerCylinder'];
+
+/**
+ * Encodes a scenario as a URL hash.
+ * @param {object} link - The scenario.
+ * @param {string} link.algorithm - The algorithm id.
+ * @param {string} link.requests - The request list, in the request box syntax.
+ * @param {number} link.startHead - The initial head position.
+ * @param {string} link.direction - The initial direction.
+ * @param {{min: number, max: number}} [link.geometry] - The disk geometry, if not the default.
+ * @param {number} [link.nStepSize] - The N-Step-SCAN sub-queue size, if not the default.
+ * @param {number} [link.agingFactor] - The SSTF with aging factor, if not the default.
+ * @param {object} [link.drive] - The drive settings, if the drive model is on.
+ * @param {number} [link.step] - The step on screen, if a run is shown.
+ * @returns {string} The hash, without the leading `#`.
+ */
+function encodePermalink(link) {
+    const params = [
+        ['algo', link.algorithm],
+        ['req', link.requests.replace(/\s+/g, '')],
+        ['head', link.startHead],
+        ['dir', link.direction]
+    ];
+    if (link.geometry) params.push(['min', link.geometry.min], ['max', link.geometry.max]);
+    if (link.nStepSize !== undefined) params.push(['n', link.nStepSize]);
+    if (link.agingFactor !== undefined) params.push(['age', link.agingFactor]);
+    if (link.drive) params.push(['drive', PERMALINK_DRIVE_KEYS.map(key => link.drive[key]).join(',')]);
+    if (link.step !== undefined) params.push(['step', link.step]);
+
+    return params
+        .map(([key, value]) => `${key}=${encodeURIComponent(value).replace(/%2C|%40|%3A/g, code => READABLE_HASH_CHARACTERS[code])}`)
+        .join('&');
+}
+
+/**
+ * Decodes a URL hash written by encodePermalink().
+ * @param {string} hash - The hash, with or without the leading `#`.
+ * @returns {object|null} The scenario (see encodePermalink), or null if the hash is malformed.
+ */
+function decodePermalink(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const algorithm = params.get('algo');
+    const requests = params.get('req');
+    const direction = params.get('dir');
+    const startHead = readWholeParam(params, 'head');
+    if (!algorithm || !/^[a-z0-9-]+$/.test(algorithm) || !requests || isNaN(startHead) ||
+        (direction !== 'left' && direction !== 'right')) {
+        return null;
+    }
+
+    const link = { algorithm, requests, startHead, direction };
+    if (params.has('min') || params.has('max')) {
+        link.geometry = { min: readWholeParam(params, 'min'), max: readWholeParam(params, 'max') };
+        if (isNaN(link.geometry.min) || isNaN(link.geometry.max)) return null;
+    }
+    if (params.has('n')) {
+        link.nStepSize = readWholeParam(params, 'n');
+        if (isNaN(link.nStepSize) || link.nStepSize < 1) return null;
+    }
+    if (params.has('age')) {
+        const value = params.get('age');
+        link.agingFactor = /^\d+(\.\d+)?$/.test(value) ? Number(value) : NaN;
+        if (isNaN(link.agingFactor)) return null;
+    }
+    if (params.has('drive')) {
+        const values = params.get('drive').split(',');
+        if (values.length !== PERMALINK_DRIVE_KEYS.length || !values.every(value => /^\d+(\.\d+)?$/.test(value))) return null;
+        link.drive = Object.fromEntries(PERMALINK_DRIVE_KEYS.map((key, i) => [key, Number(values[i])]));
+    }
+    if (params.has('step')) {
+        link.step = readWholeParam(params, 'step');
+        if (isNaN(link.step) || link.step < 0) return null;
+    }
+    return link;
+}
+
+/**
+ * Reads a whole-number parameter.
+ * @param {URLSearchParams} params - The parameters.
+ * @param {string} key - The parameter name.
+ * @returns {number} The number, or NaN if it is missing or not a whole number.
+ */
+function readWholeParam(params, key) {
+    const value = params.get(key);
+    return (value !== null && /^-?\d+$/.test(value)) ? Number(value) : NaN;
+}
+
+
+// ===================================================================
+//
+// Part 4: Node module exports.
+//
+// ===================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SESSION_FORMAT,
+        SESSION_VERSION,
+        createSession,
+        parseSession,
+        encodePermalink,
+        decodePermalink
+    };
+}
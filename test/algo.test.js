@@ -0,0 +1,502 @@
+/**
+ * @file algo.test.js
+ * * Tests for the headless scheduling engine (algorithms.js).
+ * - Golden results from the standard textbook example.
+ * - Edge cases: start head on a request, one-sided queues, duplicates, C-LOOK direction.
+ * - Timed arrivals, sub-queues and deadlines.
+ * - Property checks over seeded random workloads.
+ * - Input parsing, validation and the algorithm registry.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    simulate,
+    getAlgorithmStats,
+    getTextbookSeek,
+    getOptimalSchedule,
+    checkSeekConsistency,
+    getDeadlineStats,
+    getServiceTimeStats,
+    getFairnessStats,
+    resolveDrive,
+    getSeekTime,
+    parseRequestList,
+    formatRequestList,
+    formatStepTable,
+    registerAlgorithm,
+    getAlgorithm,
+    describeSettings,
+    listAlgorithms,
+    serveRequest,
+    moveHead
+} = require('../algo.js');
+
+// The classic textbook queue (Silberschatz et al.), head at 53 on a 0-199 disk
+const TEXTBOOK = [98, 183, 37, 122, 14, 124, 65, 67];
+
+// The six classic algorithms, which also have closed-form formulas
+const CLASSIC = ['fcfs', 'sstf', 'scan', 'c-scan', 'look', 'c-look'];
+
+/**
+ * Gets the head positions of a simulation, start position first.
+ * @param {{steps: object[]}} result - From simulate.
+ * @returns {number[]} The head path.
+ */
+function headPath(result) {
+    return result.steps.map(step => step.head);
+}
+
+/**
+ * Creates a small seeded PRNG (mulberry32) so random cases are reproducible.
+ * @param {number} seed - The seed.
+ * @returns {function(): number} A generator of floats in [0, 1).
+ */
+function seededRandom(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// ===================================================================
+//
+// Part 1: Golden textbook cases.
+//
+// ===================================================================
+
+const GOLDEN = [
+    { algo: 'fcfs', direction: 'right', seek: 640, path: [53, 98, 183, 37, 122, 14, 124, 65, 67] },
+    { algo: 'sstf', direction: 'right', seek: 236, path: [53, 65, 67, 37, 14, 98, 122, 124, 183] },
+    // With every request arriving at once they all age alike
+    { algo: 'sstf-aging', direction: 'right', seek: 236, path: [53, 65, 67, 37, 14, 98, 122, 124, 183] },
+    { algo: 'scan', direction: 'right', seek: 331, path: [53, 65, 67, 98, 122, 124, 183, 199, 37, 14] },
+    { algo: 'scan', direction: 'left', seek: 236, path: [53, 37, 14, 0, 65, 67, 98, 122, 124, 183] },
+    { algo: 'c-scan', direction: 'right', seek: 382, path: [53, 65, 67, 98, 122, 124, 183, 199, 0, 14, 37] },
+    { algo: 'c-scan', direction: 'left', seek: 386, path: [53, 37, 14, 0, 199, 183, 124, 122, 98, 67, 65] },
+    { algo: 'look', direction: 'right', seek: 299, path: [53, 65, 67, 98, 122, 124, 183, 37, 14] },
+    { algo: 'look', direction: 'left', seek: 208, path: [53, 37, 14, 65, 67, 98, 122, 124, 183] },
+    { algo: 'c-look', direction: 'right', seek: 322, path: [53, 65, 67, 98, 122, 124, 183, 14, 37] },
+    { algo: 'c-look', direction: 'left', seek: 326, path: [53, 37, 14, 183, 124, 122, 98, 67, 65] },
+    { algo: 'n-step-scan', direction: 'right', seek: 469, path: [53, 98, 122, 183, 199, 37, 14, 0, 65, 67, 124] },
+    { algo: 'fscan', direction: 'right', seek: 331, path: [53, 65, 67, 98, 122, 124, 183, 199, 37, 14] },
+    // Without deadlines EDF falls back to arrival order, and SCAN-EDF to LOOK
+    { algo: 'edf', direction: 'right', seek: 640, path: [53, 98, 183, 37, 122, 14, 124, 65, 67] },
+    { algo: 'scan-edf', direction: 'left', seek: 208, path: [53, 37, 14, 65, 67, 98, 122, 124, 183] },
+    // The best schedule here is LOOK towards 0
+    { algo: 'optimal', direction: 'right', seek: 208, path: [53, 14, 37, 65, 67, 98, 122, 124, 183] }
+];
+
+for (const { algo, direction, seek, path } of GOLDEN) {
+    test(`textbook example: ${algo} ${direction}`, () => {
+        const result = simulate(algo, TEXTBOOK, 53, direction);
+        assert.deepEqual(headPath(result), path);
+        assert.equal(result.stats.totalSeek, seek);
+        assert.equal(getAlgorithmStats(algo, TEXTBOOK, 53, direction), seek);
+    });
+}
+
+test('every registered algorithm has a golden case', () => {
+    const covered = new Set(GOLDEN.map(g => g.algo));
+    for (const algo of listAlgorithms()) {
+        assert.ok(covered.has(algo.id), `${algo.id} has no golden case`);
+    }
+});
+
+test('textbook formulas agree with the path on the textbook example', () => {
+    for (const algo of CLASSIC) {
+        for (const direction of ['left', 'right']) {
+            const check = checkSeekConsistency(algo, TEXTBOOK, 53, direction);
+            assert.ok(check.consistent, `${algo} ${direction}: ${JSON.stringify(check)}`);
+        }
+    }
+});
+
+test('fairness metrics on the textbook example', () => {
+    const requests = TEXTBOOK.map(cylinder => ({ cylinder, arrival: 0 }));
+    const stats = id => getFairnessStats(id, requests, 53, 'right');
+
+    // SSTF: 53 -> 65 -> 67 -> 37 -> 14 -> 98 -> 122 -> 124 -> 183
+    assert.deepEqual(stats('sstf'), { meanResponse: 109.5, maxResponse: 236, responseVariance: 6411.75, reversals: 2, idleDistance: 0 });
+    // SCAN sweeps on to 199 before turning; C-SCAN also returns to 0 without serving
+    assert.equal(stats('scan').idleDistance, 16);
+    assert.equal(stats('scan').reversals, 1);
+    assert.equal(stats('c-scan').idleDistance, 16 + 199);
+    assert.equal(stats('c-scan').reversals, 2);
+    // FCFS zig-zags
+    assert.equal(stats('fcfs').reversals, 6);
+});
+
+test('stats report the average seek and the finish time', () => {
+    const { stats } = simulate('sstf', TEXTBOOK, 53, 'right');
+    assert.equal(stats.averageSeek, 236 / 8);
+    assert.equal(stats.finishTime, 236);
+    assert.deepEqual(stats.deadlines, []);
+});
+
+// ===================================================================
+//
+// Part 2: Edge cases.
+//
+// ===================================================================
+
+test('a request at the start head is served first, without moving', () => {
+    for (const algo of ['sstf', 'scan', 'c-scan', 'look', 'c-look']) {
+        for (const direction of ['left', 'right']) {
+            const result = simulate(algo, [10, 53, 150], 53, direction);
+            assert.equal(result.steps[1].head, 53, `${algo} ${direction}`);
+            assert.equal(result.steps[1].request, 53, `${algo} ${direction}`);
+            assert.equal(result.steps[1].seek, 0, `${algo} ${direction}`);
+        }
+    }
+});
+
+test('the textbook formulas count a request at the start head as lying to the right', () => {
+    // The path serves 5 first; the formula goes to 0, jumps, and comes back for it
+    const check = checkSeekConsistency('c-scan', [74, 5, 186, 42, 97], 5, 'left');
+    assert.equal(check.animated, 361);
+    assert.equal(check.textbook, 398);
+    assert.equal(check.consistent, false);
+});
+
+test('all requests on one side of the head', () => {
+    const below = [10, 20, 30];
+    // Moving away from every request: SCAN and C-SCAN sweep to the end first, LOOK turns at once
+    assert.deepEqual(headPath(simulate('scan', below, 100, 'right')), [100, 199, 30, 20, 10]);
+    assert.deepEqual(headPath(simulate('c-scan', below, 100, 'right')), [100, 199, 0, 10, 20, 30]);
+    assert.deepEqual(headPath(simulate('look', below, 100, 'right')), [100, 30, 20, 10]);
+    assert.deepEqual(headPath(simulate('c-look', below, 100, 'right')), [100, 10, 20, 30]);
+    // Moving towards them: the first sweep still runs to the end of the disk
+    assert.deepEqual(headPath(simulate('scan', below, 100, 'left')), [100, 30, 20, 10, 0]);
+    assert.deepEqual(headPath(simulate('look', below, 100, 'left')), [100, 30, 20, 10]);
+});
+
+test('FCFS serves duplicate requests separately; the others once', () => {
+    const requests = [50, 20, 50, 20];
+    const fcfs = simulate('fcfs', requests, 0, 'right');
+    assert.deepEqual(fcfs.stats.servedOrder, [50, 20, 50, 20]);
+    assert.equal(fcfs.stats.totalSeek, 50 + 30 + 30 + 30);
+
+    const sstf = simulate('sstf', requests, 0, 'right');
+    assert.deepEqual(sstf.stats.servedOrder, [20, 50]);
+    assert.equal(getAlgorithmStats('sstf', requests, 0, 'right'), 50);
+});
+
+test('C-LOOK keeps its direction after the jump', () => {
+    assert.deepEqual(simulate('c-look', [10, 40, 60, 90], 50, 'right').stats.servedOrder, [60, 90, 10, 40]);
+    assert.deepEqual(simulate('c-look', [10, 40, 60, 90], 50, 'left').stats.servedOrder, [40, 10, 90, 60]);
+});
+
+test('SSTF breaks ties in input order, like the textbook formula', () => {
+    assert.deepEqual(simulate('sstf', [60, 40], 50, 'right').stats.servedOrder, [60, 40]);
+    assert.deepEqual(simulate('sstf', [40, 60], 50, 'right').stats.servedOrder, [40, 60]);
+    assert.deepEqual(simulate('sstf-aging', [60, 40], 50, 'right').stats.servedOrder, [60, 40]);
+
+    // With arrival times the oldest request wins: at 10, 20 (arrived at 1) beats 0 (arrived at 5)
+    const timed = [{ cylinder: 10, arrival: 0 }, { cylinder: 0, arrival: 5 }, { cylinder: 20, arrival: 1 }];
+    assert.deepEqual(simulate('sstf', timed, 0, 'right').stats.servedOrder, [10, 20, 0]);
+
+    // 60, 40, 10 (60 cylinders), not 40, 60, 10 (80 cylinders)
+    const check = checkSeekConsistency('sstf', [60, 40, 10], 50, 'right');
+    assert.deepEqual(check, { animated: 60, compared: 60, textbook: 60, consistent: true });
+});
+
+test('the geometry sets the end of the disk', () => {
+    const result = simulate('scan', [100, 4000], 2000, 'right', { min: 0, max: 4999 });
+    assert.deepEqual(headPath(result), [2000, 4000, 4999, 100]);
+    assert.equal(getAlgorithmStats('scan', [100, 4000], 2000, 'right', undefined, { geometry: { min: 0, max: 4999 } }), 2999 + 4899);
+    assert.equal(getTextbookSeek('scan', [100, 4000], 2000, 'right', { min: 0, max: 4999 }), 2999 + 4899);
+});
+
+// ===================================================================
+//
+// Part 3: Timed arrivals, sub-queues and deadlines.
+//
+// ===================================================================
+
+test('the head idles until the next arrival', () => {
+    const result = simulate('sstf', [{ cylinder: 60, arrival: 0 }, { cylinder: 10, arrival: 100 }], 50, 'right');
+    assert.deepEqual(result.steps.map(s => [s.head, s.time, s.request]), [
+        [50, 0, null],
+        [60, 10, 60],
+        [60, 100, null],
+        [10, 150, 10]
+    ]);
+    assert.equal(result.stats.totalSeek, 60);
+});
+
+test('algorithms only choose among requests that have already arrived', () => {
+    // SSTF would serve 52 first if it were known at time 0
+    const requests = [{ cylinder: 90, arrival: 0 }, { cylinder: 52, arrival: 5 }];
+    assert.deepEqual(simulate('sstf', requests, 50, 'right').stats.servedOrder, [90, 52]);
+});
+
+test('timed runs stop once the queue is empty instead of finishing the sweep', () => {
+    const result = simulate('scan', [{ cylinder: 120, arrival: 1 }], 100, 'right');
+    assert.deepEqual(headPath(result), [100, 100, 120]);
+});
+
+test('N-Step-SCAN records the sub-queue of every pending request', () => {
+    const result = simulate('n-step-scan', [10, 20, 30, 40], 0, 'right', undefined, { nStepSize: 2 });
+    assert.deepEqual([...result.steps[1].queues], [[20, 0], [30, 1], [40, 1]]);
+    assert.equal(result.steps[1].request, 10);
+});
+
+test('EDF serves the earliest deadline first and reports lateness', () => {
+    const requests = [
+        { cylinder: 190, arrival: 0, deadline: 500 },
+        { cylinder: 10, arrival: 0, deadline: 30 }
+    ];
+    const { stats } = simulate('edf', requests, 0, 'right');
+    assert.deepEqual(stats.servedOrder, [10, 190]);
+    assert.deepEqual(stats.deadlines.map(r => [r.cylinder, r.finish, r.lateness, r.missed]), [
+        [10, 10, -20, false],
+        [190, 190, -310, false]
+    ]);
+
+    // FCFS goes to 190 first and is late for 10
+    assert.deepEqual(getDeadlineStats('fcfs', requests, 0, 'right'), { missed: 1, maxLateness: 340 });
+});
+
+test('the response report follows the arrival queue', () => {
+    const requests = [
+        { cylinder: 90, arrival: 4 },
+        { cylinder: 20, arrival: 0 },
+        { cylinder: 60, arrival: 0 }
+    ];
+    const { stats } = simulate('sstf', requests, 50, 'right');
+    assert.deepEqual(stats.servedOrder, [60, 90, 20]);
+    assert.deepEqual(stats.responses, [
+        { cylinder: 20, arrival: 0, queuePosition: 1, order: 3, seek: 110, finish: 110, wait: 110 },
+        { cylinder: 60, arrival: 0, queuePosition: 2, order: 1, seek: 10, finish: 10, wait: 10 },
+        { cylinder: 90, arrival: 4, queuePosition: 3, order: 2, seek: 40, finish: 40, wait: 36 }
+    ]);
+});
+
+test('SSTF with aging serves a far request that plain SSTF starves', () => {
+    // A far request, and a stream of near ones that keeps arriving around the head
+    const near = [90, 110, 95, 105, 85, 115, 92, 108, 88, 112, 94, 106, 86, 114, 98, 102];
+    const requests = [{ cylinder: 190, arrival: 0 }, ...near.map((cylinder, i) => ({ cylinder, arrival: i * 10 }))];
+    const waitOf = (stats) => stats.responses.find(r => r.cylinder === 190).wait;
+
+    // Plain SSTF only gets there once the stream has dried up
+    const sstf = simulate('sstf', requests, 100, 'right').stats;
+    assert.equal(sstf.servedOrder[sstf.servedOrder.length - 1], 190);
+
+    const aging = simulate('sstf-aging', requests, 100, 'right', undefined, { agingFactor: 1 }).stats;
+    assert.ok(aging.servedOrder.indexOf(190) < near.length / 2);
+    assert.ok(waitOf(aging) < waitOf(sstf));
+
+    // Without aging it is plain SSTF
+    assert.deepEqual(simulate('sstf-aging', requests, 100, 'right', undefined, { agingFactor: 0 }).stats, sstf);
+});
+
+test('the drive model accelerates on short seeks and coasts on long ones', () => {
+    const drive = resolveDrive(true);
+    assert.equal(getSeekTime(drive, 0), 0);
+    assert.equal(getSeekTime(drive, 1), 1.5);
+    assert.equal(getSeekTime(drive, 100), 6);
+    assert.equal(getSeekTime(drive, 150), 7);
+    assert.throws(() => resolveDrive({ rpm: -1 }), /Invalid drive setting rpm/);
+});
+
+test('the drive model waits for the requested sector to come round', () => {
+    const requests = [{ cylinder: 10, arrival: 0, sector: 50 }, { cylinder: 10, arrival: 0, sector: 50 }];
+    const { steps, stats } = simulate('fcfs', requests, 10, 'right', undefined, { drive: true });
+    // Half a turn to sector 50 plus 8 sectors of transfer, then a full turn less those 8 sectors
+    assert.deepEqual(steps.map(s => s.ms.toFixed(4)), ['0.0000', '4.8333', '13.1667']);
+    assert.equal(stats.totalMs, steps[2].ms);
+    assert.equal(simulate('fcfs', requests, 10, 'right').stats.totalMs, null);
+});
+
+test('service time can rank the algorithms differently from seek distance', () => {
+    const cylinders = [5, 116, 197, 158];
+    const requests = cylinders.map(cylinder => ({ cylinder, arrival: 0 }));
+    const seek = id => getAlgorithmStats(id, cylinders, 125, 'right', requests);
+    const ms = id => getServiceTimeStats(id, requests, 125, 'right', {}).totalMs;
+    // LOOK travels less, but SSTF's shorter hops cost less settle and acceleration time
+    assert.ok(seek('look') < seek('sstf'));
+    assert.ok(ms('look') > ms('sstf'));
+});
+
+// ===================================================================
+//
+// Part 4: Property checks over seeded random workloads.
+//
+// ===================================================================
+
+test('properties hold for every algorithm on random workloads', () => {
+    const random = seededRandom(2024);
+    const geometry = { min: 0, max: 199 };
+
+    for (let trial = 0; trial < 200; trial++) {
+        const timed = (trial % 2 === 1);
+        const count = 1 + Math.floor(random() * 10);
+        const requests = Array.from({ length: count }, () => ({
+            cylinder: Math.floor(random() * 200),
+            arrival: timed ? Math.floor(random() * 300) : 0
+        }));
+        const startHead = Math.floor(random() * 200);
+        const cylinders = requests.map(r => r.cylinder);
+
+        for (const { id, servesDuplicates } of listAlgorithms()) {
+            for (const direction of ['left', 'right']) {
+                const label = `${id} ${direction} head ${startHead} requests ${JSON.stringify(requests)}`;
+                const result = simulate(id, requests, startHead, direction, geometry, { nStepSize: 3 });
+
+                // Every request is served exactly once
+                const expected = servesDuplicates ? cylinders : [...new Set(cylinders)];
+                assert.deepEqual([...result.stats.servedOrder].sort((a, b) => a - b), [...expected].sort((a, b) => a - b), label);
+
+                // The seek total equals the sum of the step distances
+                let distance = 0;
+                for (let i = 1; i < result.steps.length; i++) {
+                    distance += Math.abs(result.steps[i].head - result.steps[i - 1].head);
+                    assert.ok(result.steps[i].time >= result.steps[i - 1].time, `clock runs backwards: ${label}`);
+                }
+                assert.equal(result.stats.totalSeek, distance, label);
+
+                // The head stays on the disk
+                assert.ok(result.steps.every(s => s.head >= geometry.min && s.head <= geometry.max), label);
+
+                // Compare All reports the same total
+                assert.equal(getAlgorithmStats(id, cylinders, startHead, direction, requests, { nStepSize: 3 }), distance, label);
+            }
+        }
+    }
+});
+
+/**
+ * Finds the least total seek by trying every service order.
+ * @param {number[]} cylinders - Distinct requests (a handful at most).
+ * @param {number} head - The head position.
+ * @returns {number} The least total seek.
+ */
+function bruteForceSeek(cylinders, head) {
+    if (cylinders.length === 0) return 0;
+    return Math.min(...cylinders.map(c =>
+        Math.abs(c - head) + bruteForceSeek(cylinders.filter(other => other !== c), c)));
+}
+
+test('the optimal schedule matches a brute-force search and beats every algorithm', () => {
+    const random = seededRandom(7);
+    for (let trial = 0; trial < 100; trial++) {
+        const count = 1 + Math.floor(random() * 7);
+        const cylinders = Array.from({ length: count }, () => Math.floor(random() * 200));
+        const head = Math.floor(random() * 200);
+        const label = `head ${head} requests ${JSON.stringify(cylinders)}`;
+
+        const { order, totalSeek } = getOptimalSchedule(cylinders, head);
+        assert.equal(totalSeek, bruteForceSeek([...new Set(cylinders)], head), label);
+        assert.deepEqual([...order].sort((a, b) => a - b), [...new Set(cylinders)].sort((a, b) => a - b), label);
+        assert.equal(simulate('optimal', cylinders, head, 'right').stats.totalSeek, totalSeek, label);
+
+        for (const { id } of listAlgorithms()) {
+            assert.ok(getAlgorithmStats(id, cylinders, head, 'left') >= totalSeek, `${id} ${label}`);
+        }
+    }
+    assert.deepEqual(getOptimalSchedule([], 53), { order: [], totalSeek: 0 });
+});
+
+// ===================================================================
+//
+// Part 5: Parsing, validation and the registry.
+//
+// ===================================================================
+
+test('parseRequestList reads arrivals and deadlines', () => {
+    assert.deepEqual(parseRequestList('98@0, 183@12!300,\n37, ,65!90'), [
+        { cylinder: 98, arrival: 0 },
+        { cylinder: 183, arrival: 12, deadline: 300 },
+        { cylinder: 37, arrival: 0 },
+        { cylinder: 65, arrival: 0, deadline: 90 }
+    ]);
+    assert.ok(isNaN(parseRequestList('abc')[0].cylinder));
+
+    // Trailing junk, fractions and extra separators make the whole entry unreadable
+    for (const token of ['18x3', '1.5', '37abc', '-4', '98@12x', '98!3!4', '98:1:2', '9 8']) {
+        const [request] = parseRequestList(token);
+        assert.ok(isNaN(request.cylinder) && isNaN(request.arrival), token);
+    }
+    assert.deepEqual(parseRequestList(' 98 : 4 @ 12 ! 300 '), [{ cylinder: 98, arrival: 12, deadline: 300, sector: 4 }]);
+});
+
+test('formatRequestList writes the request box syntax back', () => {
+    const text = '98, 183:40@12!300, 37!90';
+    assert.equal(formatRequestList(parseRequestList(text)), text);
+    assert.equal(formatRequestList([{ cylinder: 5, arrival: 0 }, { cylinder: 6, arrival: 3 }]), '5, 6@3');
+});
+
+test('formatStepTable lists every step with its seek', () => {
+    const table = formatStepTable(simulate('fcfs', [60, 40], 50, 'right').steps);
+    assert.deepEqual(table.trim().split('\n').slice(2), [
+        '0    | 50      | 0    | 0          | 0      | ',
+        '1    | 60      | 10   | 10         | 10     | 60',
+        '2    | 40      | 20   | 30         | 30     | 40, 60'
+    ]);
+});
+
+test('simulate rejects invalid inputs', () => {
+    assert.throws(() => simulate('nope', [1], 0, 'left'), /Unknown algorithm "nope"/);
+    assert.throws(() => simulate('scan', [200], 0, 'left'), /Invalid request 200/);
+    assert.throws(() => simulate('scan', [NaN], 0, 'left'), /Invalid request/);
+    assert.throws(() => simulate('scan', [1], 500, 'left'), /Invalid Start Head/);
+    assert.throws(() => simulate('scan', [1], 0, 'up'), /Invalid direction/);
+    assert.throws(() => simulate('scan', [], 0, 'left'), /No requests/);
+    assert.throws(() => simulate('scan', [1], 0, 'left', { min: 10, max: 5 }), /Invalid disk geometry/);
+    assert.throws(() => simulate('scan', [{ cylinder: 1, arrival: -1 }], 0, 'left'), /Invalid arrival time/);
+});
+
+test('registered algorithms run through the same pipeline', () => {
+    registerAlgorithm({
+        id: 'test-farthest',
+        name: 'Farthest First',
+        description: 'Worst case.',
+        usesDirection: false,
+        next: (waiting, state) => {
+            if (waiting.length === 0) return null;
+            const farthest = waiting.reduce((a, b) => Math.abs(b.cylinder - state.head) > Math.abs(a.cylinder - state.head) ? b : a);
+            return serveRequest(farthest);
+        }
+    });
+    assert.equal(getAlgorithm('test-farthest').name, 'Farthest First');
+    assert.deepEqual(simulate('test-farthest', [40, 60, 100], 50, 'right').stats.servedOrder, [100, 40, 60]);
+    assert.equal(getAlgorithmStats('test-farthest', [40, 60, 100], 50, 'right'), 50 + 60 + 20);
+    assert.equal(getTextbookSeek('test-farthest', [40, 60, 100], 50, 'right'), null);
+});
+
+test('algorithms list the settings they read', () => {
+    assert.deepEqual(describeSettings('sstf-aging', {}), [
+        { key: 'agingFactor', label: 'Aging Factor', shortLabel: 'Aging', value: 0.5, text: '0.5 cylinders per time unit' }
+    ]);
+    // The drive model's clock runs in ms, and so does the aging factor
+    assert.deepEqual(describeSettings('sstf-aging', { agingFactor: 2, drive: resolveDrive(true) }).map(s => s.text), ['2 cylinders per ms']);
+    assert.deepEqual(describeSettings('n-step-scan', { nStepSize: 3, agingFactor: 2 }).map(s => [s.key, s.text]), [['nStepSize', '3']]);
+    assert.deepEqual(describeSettings('scan', { nStepSize: 3, agingFactor: 2 }), []);
+
+    registerAlgorithm({
+        id: 'test-setting',
+        settings: [{ key: 'window', label: 'Look-ahead Window', shortLabel: 'Window', default: 2, format: n => `${n} requests` }],
+        next: (waiting) => (waiting.length > 0) ? serveRequest(waiting[0]) : null
+    });
+    assert.deepEqual(describeSettings('test-setting', { window: 5 }).map(s => s.text), ['5 requests']);
+    assert.deepEqual(describeSettings('test-setting').map(s => s.value), [2]);
+});
+
+test('the registry rejects bad definitions', () => {
+    assert.throws(() => registerAlgorithm({ id: 'Bad Id', next() {} }), /lowercase/);
+    assert.throws(() => registerAlgorithm({ id: 'scan', next() {} }), /already registered/);
+    assert.throws(() => registerAlgorithm({ id: 'no-next' }), /path generator/);
+    assert.equal(getAlgorithm('no-next'), null);
+});
+
+test('the scheduler catches misbehaving path generators', () => {
+    registerAlgorithm({ id: 'test-off-disk', next: () => moveHead(500) });
+    registerAlgorithm({ id: 'test-gives-up', next: () => null });
+    registerAlgorithm({ id: 'test-wanders', next: (waiting, state) => moveHead(state.head === 0 ? 1 : 0) });
+    assert.throws(() => simulate('test-off-disk', [1], 0, 'left'), /outside the disk/);
+    assert.throws(() => simulate('test-gives-up', [1], 0, 'left'), /still waiting/);
+    assert.throws(() => simulate('test-wanders', [5], 0, 'left'), /did not finish/);
+});
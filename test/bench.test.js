@@ -0,0 +1,177 @@
+/**
+ * @file bench.test.js
+ * * Tests for the Monte Carlo benchmark (bench.js): random workloads, summaries and CSV export.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getAlgorithmStats, listAlgorithms } = require('../algo.js');
+const {
+    WORKLOAD_DISTRIBUTIONS,
+    createRandom,
+    generateRandomWorkload,
+    runBenchmark,
+    createBenchmarkWorkloads,
+    runBenchmarkInChunks,
+    percentile,
+    summarizeBenchmark,
+    benchmarkToCsv
+} = require('../bench.js');
+
+const GEOMETRY = { min: 0, max: 199 };
+
+test('generateRandomWorkload draws distinct cylinders inside the disk', () => {
+    const random = createRandom(7);
+    for (let i = 0; i < 50; i++) {
+        const { requests, startHead, direction } = generateRandomWorkload(20, { min: 100, max: 139 }, { random });
+        assert.equal(requests.length, 20);
+        assert.equal(new Set(requests).size, 20);
+        assert.ok(requests.every(r => r >= 100 && r <= 139));
+        assert.ok(startHead >= 100 && startHead <= 139);
+        assert.ok(direction === 'left' || direction === 'right');
+    }
+});
+
+test('generateRandomWorkload applies the head position policy', () => {
+    const random = createRandom(1);
+    assert.equal(generateRandomWorkload(5, GEOMETRY, { headPolicy: 'middle', random }).startHead, 99);
+    assert.equal(generateRandomWorkload(5, { min: 10, max: 20 }, { headPolicy: 'middle', random }).startHead, 15);
+    assert.equal(generateRandomWorkload(5, { min: 10, max: 20 }, { headPolicy: 'start', random }).startHead, 10);
+    assert.equal(generateRandomWorkload(5, GEOMETRY, { headPolicy: 'fixed', fixedHead: 53, random }).startHead, 53);
+
+    assert.throws(() => generateRandomWorkload(5, GEOMETRY, { headPolicy: 'fixed', fixedHead: 200 }), /Invalid Start Head/);
+    assert.throws(() => generateRandomWorkload(5, GEOMETRY, { headPolicy: 'edge' }), /Unknown head position policy/);
+    assert.throws(() => generateRandomWorkload(11, { min: 0, max: 9 }), /only has 10 cylinders/);
+});
+
+test('the same seed always gives the same queue', () => {
+    for (const distribution of WORKLOAD_DISTRIBUTIONS) {
+        const first = generateRandomWorkload(30, GEOMETRY, { distribution, random: createRandom(1234) });
+        const again = generateRandomWorkload(30, GEOMETRY, { distribution, random: createRandom(1234) });
+        const other = generateRandomWorkload(30, GEOMETRY, { distribution, random: createRandom(1235) });
+        assert.deepEqual(again, first, distribution);
+        assert.notDeepEqual(other, first, distribution);
+    }
+});
+
+test('every distribution stays on the disk, with or without duplicates', () => {
+    const geometry = { min: 1000, max: 1099 };
+    for (const distribution of WORKLOAD_DISTRIBUTIONS) {
+        const random = createRandom(99);
+        // A full disk: unique queues must still terminate
+        const unique = generateRandomWorkload(100, geometry, { distribution, random }).requests;
+        assert.equal(new Set(unique).size, 100, distribution);
+        const many = generateRandomWorkload(500, geometry, { distribution, duplicates: true, random }).requests;
+        assert.equal(many.length, 500, distribution);
+        assert.ok(many.every(r => r >= 1000 && r <= 1099), distribution);
+    }
+    assert.throws(() => generateRandomWorkload(5, geometry, { distribution: 'pareto' }), /Unknown distribution/);
+});
+
+test('distributions have their shape', () => {
+    const draw = (distribution) => generateRandomWorkload(2000, GEOMETRY, { distribution, duplicates: true, random: createRandom(5) }).requests;
+    const share = (requests, test) => requests.filter(test).length / requests.length;
+
+    // Zipf: a few cylinders take most of the requests
+    const zipf = draw('zipf');
+    const counts = [...zipf.reduce((m, r) => m.set(r, (m.get(r) || 0) + 1), new Map()).values()].sort((a, b) => b - a);
+    assert.ok(counts.slice(0, 10).reduce((sum, c) => sum + c, 0) / zipf.length > 0.4);
+
+    // Bimodal: little traffic in the middle or at the edges
+    const bimodal = draw('bimodal');
+    assert.ok(share(bimodal, r => Math.abs(r - 50) <= 25 || Math.abs(r - 149) <= 25) > 0.9);
+
+    // Sequential: most requests follow the one before
+    const sequential = draw('sequential');
+    assert.ok(share(sequential.slice(1), (r, i) => r === sequential[i] + 1) > 0.7);
+
+    // Normal: most requests within two standard deviations of the hotspot
+    const normal = draw('normal');
+    const mean = normal.reduce((sum, r) => sum + r, 0) / normal.length;
+    assert.ok(share(normal, r => Math.abs(r - mean) <= 40) > 0.85);
+});
+
+test('runBenchmark runs every algorithm over the same workloads', () => {
+    const benchmark = runBenchmark({ trials: 10, count: 8, geometry: GEOMETRY, random: createRandom(42) });
+    assert.deepEqual(benchmark.algorithms, listAlgorithms().map(algo => algo.id));
+    assert.equal(benchmark.trials.length, 10);
+
+    for (const trial of benchmark.trials) {
+        for (const id of benchmark.algorithms) {
+            const expected = getAlgorithmStats(id, trial.requests, trial.startHead, trial.direction, undefined, { geometry: GEOMETRY });
+            assert.equal(trial.seeks[id], expected, id);
+        }
+    }
+
+    // The same seed gives the same benchmark
+    assert.deepEqual(runBenchmark({ trials: 10, count: 8, geometry: GEOMETRY, random: createRandom(42) }), benchmark);
+    assert.throws(() => runBenchmark({ trials: 0, count: 8, geometry: GEOMETRY }), /number of trials/);
+    assert.throws(() => runBenchmark({ trials: 5, count: 0, geometry: GEOMETRY }), /queue length/);
+
+    // Queues drawn beforehand give the same benchmark
+    const workloads = createBenchmarkWorkloads({ trials: 10, count: 8, geometry: GEOMETRY, random: createRandom(42) });
+    assert.deepEqual(workloads, benchmark.trials.map(({ requests, startHead, direction }) => ({ requests, startHead, direction })));
+    assert.deepEqual(runBenchmark({ trials: 10, count: 8, geometry: GEOMETRY, workloads }), benchmark);
+});
+
+test('runBenchmarkInChunks gives the same results and reports progress', async () => {
+    const config = { trials: 5, count: 8, geometry: GEOMETRY, seed: 42 };
+    const progress = [];
+    // With no time per chunk, every trial is a chunk of its own
+    const benchmark = await new Promise((resolve, reject) => {
+        runBenchmarkInChunks(config, {
+            onProgress: (done, total) => progress.push(`${done}/${total}`),
+            onDone: resolve,
+            onError: reject
+        }, 0);
+    });
+    assert.deepEqual(progress, ['1/5', '2/5', '3/5', '4/5']);
+    assert.deepEqual(benchmark, runBenchmark(config));
+    assert.equal(benchmark.seed, 42);
+    assert.deepEqual(runBenchmark({ ...config, seed: undefined, random: createRandom(42) }).trials, benchmark.trials);
+
+    // Stopping it calls nothing more
+    const calls = [];
+    const stop = runBenchmarkInChunks(config, { onProgress: () => calls.push('progress'), onDone: () => calls.push('done'), onError: () => calls.push('error') }, 0);
+    stop();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.deepEqual(calls, []);
+    assert.throws(() => runBenchmarkInChunks({ ...config, trials: 0 }, {}), /number of trials/);
+});
+
+test('percentile interpolates between the closest ranks', () => {
+    const sorted = [10, 20, 30, 40, 50];
+    assert.equal(percentile(sorted, 0), 10);
+    assert.equal(percentile(sorted, 50), 30);
+    assert.equal(percentile(sorted, 100), 50);
+    assert.equal(percentile(sorted, 95), 48);
+    assert.equal(percentile([7], 95), 7);
+});
+
+test('summarizeBenchmark reports the spread of each algorithm', () => {
+    const benchmark = {
+        algorithms: ['a', 'b'],
+        trials: [4, 2, 8, 6].map(seek => ({ seeks: { a: seek, b: 5 } }))
+    };
+    const [a, b] = summarizeBenchmark(benchmark);
+    const { p95, ...rest } = a;
+    assert.deepEqual(rest, { id: 'a', mean: 5, median: 5, std: Math.sqrt(5), min: 2, max: 8, q1: 3.5, q3: 6.5 });
+    assert.ok(Math.abs(p95 - 7.7) < 1e-9);
+    assert.equal(b.std, 0);
+    assert.equal(b.p95, 5);
+});
+
+test('benchmarkToCsv writes one row per trial', () => {
+    const csv = benchmarkToCsv({
+        algorithms: ['fcfs', 'sstf'],
+        trials: [
+            { startHead: 53, direction: 'right', requests: [98, 183], seeks: { fcfs: 130, sstf: 130 } },
+            { startHead: 0, direction: 'left', requests: [5], seeks: { fcfs: 5, sstf: 5 } }
+        ]
+    });
+    assert.equal(csv, 'trial,start_head,direction,requests,fcfs,sstf\n1,53,right,98 183,130,130\n2,0,left,5,5,5\n');
+
+    // A seeded benchmark records its seed
+    const seeded = benchmarkToCsv({ algorithms: ['fcfs'], seed: 7, trials: [{ startHead: 53, direction: 'right', requests: [98], seeks: { fcfs: 45 } }] });
+    assert.equal(seeded, 'trial,seed,start_head,direction,requests,fcfs\n1,7,53,right,98,45\n');
+});
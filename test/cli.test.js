@@ -0,0 +1,102 @@
+/**
+ * @file cli.test.js
+ * * Tests for the command-line front end (cli.js), run as a child process
+ * * and through its exported helpers.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { parseArgs, buildJob } = require('../cli.js');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+/**
+ * Runs the CLI.
+ * @param {string[]} args - The arguments.
+ * @param {string} [input] - Text for stdin.
+ * @returns {{status: number, stdout: string, stderr: string}} The result.
+ */
+function run(args, input) {
+    return spawnSync(process.execPath, [CLI, ...args], { input, encoding: 'utf8', timeout: 10000 });
+}
+
+test('prints the served sequence, totals and the step table', () => {
+    const { status, stdout } = run(['--head', '53', '--requests', '98,183,37,122,14,124,65,67', '-a', 'sstf']);
+    assert.equal(status, 0);
+    assert.match(stdout, /Served Sequence: 65 -> 67 -> 37 -> 14 -> 98 -> 122 -> 124 -> 183/);
+    assert.match(stdout, /Total Seek Time: 236/);
+    assert.match(stdout, /Average Seek Time: 29\.50/);
+    assert.match(stdout, /Step \| Move To \| Seek \| Total Seek \| Clock {2}\| Served Requests/);
+    assert.match(stdout, /^8 {4}\| 183 {5}\| 59/m);
+});
+
+test('prints JSON for every algorithm', () => {
+    const { status, stdout } = run(['-H', '53', '-r', '98,183,37,122,14,124,65,67', '-a', 'all', '--json']);
+    assert.equal(status, 0);
+    const results = JSON.parse(stdout);
+    const totals = Object.fromEntries(results.map(r => [r.algorithm, r.stats.totalSeek]));
+    assert.equal(totals.fcfs, 640);
+    assert.equal(totals.scan, 331);
+    assert.equal(totals['c-look'], 322);
+    assert.equal(results[0].steps[0].head, 53);
+});
+
+test('reads the request list from stdin', () => {
+    const { status, stdout } = run(['-H', '0', '-f', '-', '-a', 'fcfs', '--max', '4999', '--json'], '4000\n100, 2500@10\n');
+    assert.equal(status, 0);
+    assert.deepEqual(JSON.parse(stdout).stats.servedOrder, [4000, 100, 2500]);
+});
+
+test('reports invalid input with exit code 1', () => {
+    for (const args of [
+        ['-H', '53'],
+        ['-H', '53', '-r', '300'],
+        ['-H', '53', '-r', '1,abc'],
+        ['-H', '53', '-r', '98,18x3'],
+        ['-H', '53', '-r', '1.5'],
+        ['-H', '53', '-r', '1', '-a', 'nope'],
+        ['-H', '53', '-r', '1', '--aging', '-1'],
+        ['--bogus']
+    ]) {
+        const { status, stderr } = run(args);
+        assert.equal(status, 1, args.join(' '));
+        assert.match(stderr, /^Error: /, args.join(' '));
+    }
+});
+
+test('passes the aging factor to SSTF with aging', () => {
+    const requests = '190, 90, 110@10, 95@20, 105@30, 85@40, 115@50';
+    const { status, stdout } = run(['-H', '100', '-r', requests, '-a', 'sstf-aging', '--aging', '2']);
+    assert.equal(status, 0);
+    assert.match(stdout, /Head: 100 \| Aging: 2 cylinders per time unit/);
+    assert.match(stdout, /Served Sequence: 90 -> 110 -> 95 -> 105 -> 190 -> 115 -> 85/);
+
+    // The drive model's clock runs in ms, and the factor with it
+    const timed = run(['-H', '100', '-r', requests, '-a', 'sstf-aging', '--aging', '2', '--drive']);
+    assert.equal(timed.status, 0);
+    assert.match(timed.stdout, /Head: 100 \| Aging: 2 cylinders per ms/);
+});
+
+test('times the run with the drive model', () => {
+    const { status, stdout } = run(['-H', '10', '-r', '10:50', '-a', 'fcfs', '--drive']);
+    assert.equal(status, 0);
+    assert.match(stdout, /Total Service Time: 4\.83 ms/);
+    assert.match(stdout, /Clock \(ms\) \| Busy \(ms\)/);
+});
+
+test('parses options into a job without running the CLI', () => {
+    const args = parseArgs(['-H', '53', '--requests=98:4@2!40, 37', '-a', 'all', '--max', '99', '--drive']);
+    assert.deepEqual(args, { head: '53', requests: '98:4@2!40, 37', algorithm: 'all', max: '99', drive: true });
+
+    const job = buildJob(args);
+    assert.ok(job.algorithms.includes('sstf') && job.algorithms.includes('look'));
+    assert.deepEqual(job.requests, [{ cylinder: 98, arrival: 2, deadline: 40, sector: 4 }, { cylinder: 37, arrival: 0 }]);
+    assert.equal(job.startHead, 53);
+    assert.deepEqual(job.geometry, { min: 0, max: 99 });
+    assert.ok(job.options.drive);
+
+    assert.throws(() => buildJob(parseArgs(['-H', '53', '-r', '98,18x3'])), /Could not read request #2/);
+    assert.throws(() => parseArgs(['-x']), /Unknown option "-x"/);
+});
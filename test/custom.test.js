@@ -0,0 +1,152 @@
+/**
+ * @file custom.test.js
+ * * Tests for user-defined algorithms (custom.js): the sandbox, its time limit and registration.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { simulate, getAlgorithm, listAlgorithms } = require('../algo.js');
+const { compileUserAlgorithm, userAlgorithmId, registerUserAlgorithm, unregisterUserAlgorithm, prepareUserAlgorithms } = require('../custom.js');
+
+const REQUESTS = [98, 183, 37, 122, 14, 124, 65, 67];
+const GEOMETRY = { min: 0, max: 199 };
+
+// SSTF, written the way a student would
+const SSTF_SOURCE = `
+let best = pending[0];
+for (let i = 1; i < pending.length; i++) {
+    if (Math.abs(pending[i] - head) < Math.abs(best - head)) best = pending[i];
+}
+return best;
+`;
+
+/**
+ * Runs user algorithms in the sandbox on one set of inputs.
+ * @param {string[]} ids - The algorithms.
+ * @param {number[]} requests - The queue; the head starts at 53, moving right.
+ * @param {object} [settings] - Sandbox settings (see prepareUserAlgorithms).
+ * @returns {Promise<void>} Rejects with the sandbox's error.
+ */
+function prepare(ids, requests, settings) {
+    const job = { requests, startHead: 53, direction: 'right', geometry: GEOMETRY, options: {} };
+    return new Promise((resolve, reject) => {
+        prepareUserAlgorithms(ids, [job], err => err ? reject(err) : resolve(), settings);
+    });
+}
+
+/**
+ * Registers a user algorithm for one test and removes it afterwards.
+ * @param {{name: string, source: string}} definition - The algorithm.
+ * @param {function(string): Promise<void>} body - Gets the algorithm id.
+ * @returns {Promise<void>}
+ */
+async function withUserAlgorithm(definition, body) {
+    const id = registerUserAlgorithm(definition);
+    try {
+        await body(id);
+    } finally {
+        unregisterUserAlgorithm(id);
+    }
+}
+
+test('user code only runs on inputs the sandbox has run it on', async () => {
+    await withUserAlgorithm({ name: 'Not yet', source: 'return pending[0];' }, async (id) => {
+        assert.throws(() => simulate(id, REQUESTS, 53, 'right'), /Not yet: It has not been run on these inputs yet/);
+        await prepare([id], REQUESTS);
+        assert.deepEqual(simulate(id, REQUESTS, 53, 'right').stats.servedOrder, REQUESTS);
+    });
+    assert.throws(() => compileUserAlgorithm('return (;'), /Syntax error/);
+});
+
+test('endless loops are stopped by the time limit, however they are written', async () => {
+    const endless = {
+        'a while loop': 'while (true) {}',
+        'a loop inside a template literal': 'const text = `${(() => { for (;;) {} })()}`; return pending[0];',
+        'a for...of loop over an endless iterator': `
+            const forever = { [Symbol.iterator]: () => ({ next: () => ({ done: false, value: 0 }) }) };
+            for (const x of forever) {}
+            return pending[0];`
+    };
+    for (const [label, source] of Object.entries(endless)) {
+        await withUserAlgorithm({ name: 'Endless', source }, async (id) => {
+            await assert.rejects(prepare([id], REQUESTS, { timeLimit: 300 }), /Endless took longer than 0.3 seconds, so it was stopped/, label);
+        });
+    }
+});
+
+test('user code cannot reach the page or Node through the Function constructor', async () => {
+    // Strings built at run time get past any check of the source text
+    const source = `
+        const Fn = []['con' + 'structor']['con' + 'structor'];
+        return Fn('return [typeof process, typeof require, typeof document, typeof localStorage, typeof fetch].join()')();`;
+    await withUserAlgorithm({ name: 'Escape', source }, async (id) => {
+        await assert.rejects(prepare([id], REQUESTS), /Escape picked undefined,undefined,undefined,undefined,undefined, which is not a pending request/);
+    });
+});
+
+/**
+ * Loads custom.js the way a browser loads it into the sandbox's Web Worker,
+ * in a context with the worker's globals.
+ * @returns {{worker: object, replies: object[]}} The worker's global object and the messages it posted.
+ */
+function loadBrowserSandbox() {
+    const replies = [];
+    const worker = vm.createContext({
+        WorkerGlobalScope: class {},
+        importScripts: (file) => vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), worker),
+        postMessage: (message) => replies.push(message)
+    });
+    worker.self = worker;
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'custom.js'), 'utf8'), worker);
+    return { worker, replies };
+}
+
+test('user code in a Web Worker cannot post replies of its own', () => {
+    const { worker, replies } = loadBrowserSandbox();
+    const source = `
+        for (const send of [globalThis.postMessage, self.postMessage]) {
+            if (send) send({ type: 'done' });
+        }
+        return pending[0];`;
+    const job = { requests: [98, 37], startHead: 53, direction: 'right', geometry: GEOMETRY, options: {} };
+    worker.onmessage({ data: { algorithms: [{ id: 'user-forger', name: 'Forger', source, jobs: [job] }] } });
+    assert.deepEqual(replies.map(reply => reply.type), ['running', 'picks', 'done']);
+    assert.equal(typeof worker.postMessage, 'undefined');
+});
+
+test('a user algorithm runs through the same pipeline as the built-ins', async () => {
+    await withUserAlgorithm({ name: '  My SSTF ', source: SSTF_SOURCE }, async (id) => {
+        assert.equal(id, 'user-my-sstf');
+        assert.equal(getAlgorithm(id).name, 'My SSTF');
+        assert.ok(listAlgorithms().some(algo => algo.id === id));
+        await prepare([id, 'sstf'], REQUESTS);
+        const mine = simulate(id, REQUESTS, 53, 'right');
+        assert.deepEqual(mine.stats, simulate('sstf', REQUESTS, 53, 'right').stats);
+
+        // Saving again under the same name replaces it, along with its runs
+        registerUserAlgorithm({ name: 'my sstf', source: 'return pending[0];' });
+        assert.equal(listAlgorithms().filter(algo => algo.id === id).length, 1);
+        await prepare([id], REQUESTS);
+        assert.deepEqual(simulate(id, REQUESTS, 53, 'right').stats.servedOrder, REQUESTS);
+    });
+});
+
+test('user algorithms follow the head direction and must pick a pending request', async () => {
+    const probe = { name: 'Direction probe', source: "return (direction === 'right') ? Math.max(...pending) : Math.min(...pending);" };
+    await withUserAlgorithm(probe, async (id) => {
+        // Moving right it picks 183; the move back to 98 turns the head left, so 37 comes next
+        await prepare([id], [98, 183, 37]);
+        assert.deepEqual(simulate(id, [98, 183, 37], 53, 'right').stats.servedOrder, [183, 98, 37]);
+    });
+
+    await withUserAlgorithm({ name: 'Wrong', source: 'return 500;' }, async (id) => {
+        await assert.rejects(prepare([id], REQUESTS), /Wrong picked 500, which is not a pending request/);
+    });
+    await withUserAlgorithm({ name: 'Thrower', source: "throw new Error('Oops');" }, async (id) => {
+        await assert.rejects(prepare([id], REQUESTS), /Thrower: Oops/);
+    });
+    assert.throws(() => userAlgorithmId(' -- '), /Please give your algorithm a name/);
+});
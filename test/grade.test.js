@@ -0,0 +1,93 @@
+/**
+ * @file grade.test.js
+ * * Tests for grading mode (grade.js): reading answers, finding where they diverge and the C-SCAN convention.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { simulate } = require('../algo.js');
+const { parseAnswerSequence, parseAnswerTotal, formatSeekArithmetic, gradeAnswer } = require('../grade.js');
+
+const GEOMETRY = { min: 0, max: 199 };
+const REQUESTS = [98, 183, 37, 122, 14, 124, 65, 67];
+
+/**
+ * Grades an answer for the textbook queue with the head at 53, moving right.
+ * @param {string} algorithm - The algorithm id.
+ * @param {number[]} servedOrder - The student's served sequence.
+ * @param {number} totalSeek - The student's total seek.
+ * @param {boolean} [eitherReturnSweep] - Accept C-SCAN totals without the return sweep.
+ * @returns {object} The verdict.
+ */
+function grade(algorithm, servedOrder, totalSeek, eitherReturnSweep = false) {
+    const { steps } = simulate(algorithm, REQUESTS, 53, 'right', GEOMETRY);
+    return gradeAnswer(steps, { servedOrder, totalSeek }, { geometry: GEOMETRY, algorithm, eitherReturnSweep });
+}
+
+test('answers are read the way students write them', () => {
+    assert.deepEqual(parseAnswerSequence('65, 67, 37'), [65, 67, 37]);
+    assert.deepEqual(parseAnswerSequence('53 -> 65 → 67\n37;14'), [53, 65, 67, 37, 14]);
+    assert.throws(() => parseAnswerSequence('65, 6x7'), /"6x7" is not a cylinder number/);
+    assert.equal(parseAnswerTotal(' 236 '), 236);
+    assert.throws(() => parseAnswerTotal(''), /Invalid total seek/);
+    assert.throws(() => parseAnswerTotal('-4'), /Invalid total seek/);
+});
+
+test('a correct answer passes, with or without the start head', () => {
+    const order = [65, 67, 37, 14, 98, 122, 124, 183];
+    const verdict = grade('sstf', order, 236);
+    assert.equal(verdict.correct, true);
+    assert.equal(verdict.divergence, null);
+    assert.deepEqual(verdict.expectedOrder, order);
+    assert.equal(grade('sstf', [53, ...order], 236).correct, true);
+});
+
+test('the first diverging service is reported with its seek arithmetic', () => {
+    // SCAN sweeps to 199 before turning back to 37
+    const verdict = grade('scan', [65, 67, 98, 122, 124, 183, 14, 37], 331);
+    assert.equal(verdict.orderCorrect, false);
+    assert.equal(verdict.totalCorrect, true);
+    assert.deepEqual(verdict.divergence, {
+        position: 7,
+        expected: 37,
+        actual: 14,
+        from: 183,
+        path: [183, 199, 37],
+        seekBefore: 130,
+        seekAfter: 308,
+        actualDistance: 169
+    });
+    assert.equal(formatSeekArithmetic(verdict.divergence.path), '|199 - 183| + |37 - 199| = 16 + 162 = 178');
+    assert.equal(formatSeekArithmetic([53, 65]), '|65 - 53| = 12');
+});
+
+test('missing and extra requests diverge at the end of the shorter sequence', () => {
+    const order = [65, 67, 37, 14, 98, 122, 124, 183];
+    const short = grade('sstf', order.slice(0, 6), 236).divergence;
+    assert.equal(short.position, 7);
+    assert.equal(short.expected, 124);
+    assert.equal(short.actual, null);
+    assert.equal(short.actualDistance, null);
+
+    const long = grade('sstf', [...order, 199], 236).divergence;
+    assert.equal(long.position, 9);
+    assert.equal(long.expected, null);
+    assert.equal(long.actual, 199);
+    assert.equal(long.actualDistance, 16);
+});
+
+test('C-SCAN totals without the return sweep are accepted only when asked', () => {
+    const order = [65, 67, 98, 122, 124, 183, 14, 37];
+    const counted = grade('c-scan', order, 382);
+    assert.equal(counted.correct, true);
+    assert.deepEqual(counted.acceptedTotals, [382]);
+    assert.deepEqual(counted.moves.filter(move => move.returnSweep).map(move => [move.from, move.to]), [[199, 0]]);
+
+    assert.equal(grade('c-scan', order, 183).correct, false);
+    const either = grade('c-scan', order, 183, true);
+    assert.equal(either.correct, true);
+    assert.deepEqual(either.acceptedTotals, [382, 183]);
+
+    // Other algorithms have no return sweep to leave out
+    assert.deepEqual(grade('scan', [65, 67, 98, 122, 124, 183, 37, 14], 331, true).acceptedTotals, [331]);
+});
@@ -0,0 +1,126 @@
+/**
+ * @file session.test.js
+ * * Tests for saved sessions and permalinks (session.js): writing, reading and validation.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { simulate } = require('../algo.js');
+const { createSession, parseSession, encodePermalink, decodePermalink } = require('../session.js');
+
+/**
+ * Builds a session for an N-Step-SCAN run, which has sub-queues to save.
+ * @returns {object} The session.
+ */
+function sampleSession() {
+    const requests = [{ cylinder: 98, arrival: 0 }, { cylinder: 183, arrival: 3, deadline: 100 }, { cylinder: 37, arrival: 0 }];
+    const options = { nStepSize: 2, drive: null };
+    const { steps } = simulate('n-step-scan', requests, 53, 'right', { min: 0, max: 199 }, options);
+    return createSession({
+        algorithm: 'n-step-scan',
+        requests,
+        startHead: 53,
+        direction: 'right',
+        geometry: { min: 0, max: 199 },
+        options,
+        history: steps.map(step => ({ ...step, served: new Set(step.servedOrder) })),
+        step: 2
+    });
+}
+
+test('a session survives the round trip through JSON', () => {
+    const session = sampleSession();
+    const restored = parseSession(JSON.stringify(session));
+    assert.deepEqual(restored, JSON.parse(JSON.stringify(session)));
+    assert.equal(restored.step, 2);
+    assert.deepEqual(restored.history[1].served, [98]);
+    assert.deepEqual(restored.history[1].queues, { 37: 0 });
+    assert.equal(restored.generator, null);
+});
+
+test('a session keeps the seed of a generated workload', () => {
+    const generator = { seed: 4242, distribution: 'zipf', duplicates: true };
+    const restored = parseSession(JSON.stringify({ ...sampleSession(), generator }));
+    assert.deepEqual(restored.generator, generator);
+
+    // Older files without the field still load
+    const { generator: _, ...older } = sampleSession();
+    assert.equal(parseSession(JSON.stringify(older)).generator, null);
+    assert.throws(() => parseSession(JSON.stringify({ ...older, generator: { seed: -1, distribution: 'zipf', duplicates: true } })), /generator settings/);
+});
+
+test('a session keeps the aging factor of SSTF with aging', () => {
+    const session = sampleSession();
+    const aging = { ...session, options: { ...session.options, agingFactor: 0.25 } };
+    assert.equal(parseSession(JSON.stringify(aging)).options.agingFactor, 0.25);
+    assert.equal(parseSession(JSON.stringify(session)).options.agingFactor, undefined);
+    assert.throws(() => parseSession(JSON.stringify({ ...session, options: { ...session.options, agingFactor: -1 } })), /options/);
+});
+
+test('parseSession rejects files that are not valid sessions', () => {
+    const session = sampleSession();
+    const broken = changes => JSON.stringify({ ...session, ...changes });
+    assert.throws(() => parseSession('{'), /not valid JSON/);
+    assert.throws(() => parseSession('[]'), /not exported from DiskMotion/);
+    assert.throws(() => parseSession(broken({ version: 9 })), /Unsupported session version 9/);
+    assert.throws(() => parseSession(broken({ algorithm: 7 })), /algorithm is missing/);
+    assert.throws(() => parseSession(broken({ requests: [] })), /request list/);
+    assert.throws(() => parseSession(broken({ requests: [{ cylinder: 1.5, arrival: 0 }] })), /Request #1/);
+    assert.throws(() => parseSession(broken({ requests: [{ cylinder: 98, arrival: 0 }, { cylinder: 250, arrival: 0 }] })),
+        /Request #2 is on cylinder 250, outside the disk \(0-199\)/);
+    assert.throws(() => parseSession(broken({ requests: [{ cylinder: 98, arrival: 2.5 }] })), /Request #1 has an invalid arrival time/);
+    assert.throws(() => parseSession(broken({ requests: [{ cylinder: 98, arrival: -1 }] })), /Request #1 has an invalid arrival time/);
+    assert.throws(() => parseSession(broken({ requests: [{ cylinder: 98, arrival: 0 }, { cylinder: 37, arrival: 0, deadline: 1e400 }] })),
+        /Request #2 has an invalid deadline/);
+    assert.throws(() => parseSession(broken({ startHead: 300 })), /initial head position must be a whole number between 0 and 199/);
+    assert.throws(() => parseSession(broken({ direction: 'up' })), /direction/);
+    assert.throws(() => parseSession(broken({ geometry: null })), /geometry/);
+    assert.throws(() => parseSession(broken({ options: { nStepSize: 2, drive: 'fast' } })), /options/);
+    assert.throws(() => parseSession(broken({ history: [{ head: 'x' }] })), /step history/);
+    assert.throws(() => parseSession(broken({ step: session.history.length })), /saved step must be between 0 and/);
+});
+
+test('a permalink keeps the scenario readable in the URL hash', () => {
+    const link = {
+        algorithm: 'n-step-scan',
+        requests: '98, 183:4@12!300, 37',
+        startHead: 53,
+        direction: 'left',
+        geometry: { min: 0, max: 4999 },
+        nStepSize: 3,
+        step: 5
+    };
+    const hash = encodePermalink(link);
+    assert.equal(hash, 'algo=n-step-scan&req=98,183:4@12!300,37&head=53&dir=left&min=0&max=4999&n=3&step=5');
+    assert.deepEqual(decodePermalink(`#${hash}`), { ...link, requests: '98,183:4@12!300,37' });
+
+    const aging = { algorithm: 'sstf-aging', requests: '1,2', startHead: 0, direction: 'right', agingFactor: 0.75 };
+    assert.equal(encodePermalink(aging), 'algo=sstf-aging&req=1,2&head=0&dir=right&age=0.75');
+    assert.deepEqual(decodePermalink(encodePermalink(aging)), aging);
+
+    const drive = { rpm: 5400, sectorsPerTrack: 100, transferSectors: 8, settleMs: 1, accelMs: 0.5, coastAfter: 100, coastMsPerCylinder: 0.02 };
+    const timed = { algorithm: 'scan', requests: '1,2', startHead: 0, direction: 'right', drive, step: 2 };
+    assert.equal(encodePermalink(timed), 'algo=scan&req=1,2&head=0&dir=right&drive=5400,100,8,1,0.5,100,0.02&step=2');
+    assert.deepEqual(decodePermalink(encodePermalink(timed)), timed);
+
+    const plain = { algorithm: 'scan', requests: '1,2', startHead: 0, direction: 'right' };
+    assert.deepEqual(decodePermalink(encodePermalink(plain)), plain);
+});
+
+test('decodePermalink returns null for malformed hashes', () => {
+    for (const hash of [
+        '',
+        '#algo=scan&req=1',
+        '#algo=scan&req=1&head=1.5&dir=left',
+        '#algo=scan&req=1&head=1&dir=up',
+        '#algo=SCAN!&req=1&head=1&dir=left',
+        '#algo=scan&req=1&head=1&dir=left&min=0',
+        '#algo=scan&req=1&head=1&dir=left&n=0',
+        '#algo=scan&req=1&head=1&dir=left&age=-1',
+        '#algo=scan&req=1&head=1&dir=left&drive=7200,100',
+        '#algo=scan&req=1&head=1&dir=left&drive=7200,100,8,1,x,100,0.02',
+        '#algo=scan&req=1&head=1&dir=left&step=-1'
+    ]) {
+        assert.equal(decodePermalink(hash), null, hash);
+    }
+});
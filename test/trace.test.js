@@ -0,0 +1,86 @@
+/**
+ * @file trace.test.js
+ * * Tests for trace file import (trace.js): parsing, LBA mapping, sampling and windowing.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    parseCsvTrace,
+    parseTrace,
+    lbaToCylinder,
+    traceToRequests
+} = require('../trace.js');
+
+const GEOMETRY = { min: 0, max: 199 };
+
+// Excerpt of `blkparse -i sda` output, including events without a sector range
+const BLKPARSE = `
+  8,0    3        1     0.000000000   697  Q  WS 223490 + 8 [kjournald]
+  8,0    3        2     0.000001829   697  G  WS 223490 + 8 [kjournald]
+  8,0    3        3     0.000003076   697  D  WS 223490 + 8 [kjournald]
+  8,0    0        4     0.001200000  1523  Q   R 1000 + 16 [cat]
+  8,0    0        5     0.001500000     0  m   N cfq1523 insert_request
+  8,0    0        6     0.002500000  1523  Q FWS [jbd2/sda1-8]
+  8,0    0        7     0.004000000  1523  Q   R 500000 + 8 [cat]
+CPU0 (sda):
+ Reads Queued:           2,       24KiB
+`;
+
+test('parseTrace reads blkparse queue events in milliseconds', () => {
+    const { format, records } = parseTrace(BLKPARSE);
+    assert.equal(format, 'blkparse');
+    assert.deepEqual(records, [
+        { time: 0, lba: 223490, size: 8, op: 'W' },
+        { time: 1.2, lba: 1000, size: 16, op: 'R' },
+        { time: 4, lba: 500000, size: 8, op: 'R' }
+    ]);
+});
+
+test('parseCsvTrace skips the header and comments and fills in defaults', () => {
+    const text = 'time,lba,size,op\n# warm-up\n0,100,8,R\n\n2.5,4000,16,write\n7,50\n';
+    assert.deepEqual(parseCsvTrace(text), [
+        { time: 0, lba: 100, size: 8, op: 'R' },
+        { time: 2.5, lba: 4000, size: 16, op: 'W' },
+        { time: 7, lba: 50, size: 1, op: 'R' }
+    ]);
+    assert.equal(parseTrace(text).format, 'csv');
+    assert.throws(() => parseCsvTrace('0,100,8,R\n1,abc,8,R'), /line 2/);
+    assert.throws(() => parseTrace('# nothing here\n'), /no read or write requests/);
+});
+
+test('LBAs are spread evenly over the configured cylinders', () => {
+    assert.equal(lbaToCylinder(0, 1000, GEOMETRY), 0);
+    assert.equal(lbaToCylinder(999, 1000, GEOMETRY), 199);
+    assert.equal(lbaToCylinder(500, 1000, GEOMETRY), 100);
+    assert.equal(lbaToCylinder(500, 1000, { min: 1000, max: 1009 }), 1005);
+});
+
+test('traceToRequests maps cylinders and arrival times from the trace', () => {
+    const records = [
+        { time: 20.4, lba: 750, size: 250, op: 'R' },
+        { time: 10, lba: 0, size: 8, op: 'R' }
+    ];
+    // Capacity defaults to the end of the highest block: 1000
+    const { requests, total, capacity } = traceToRequests(records, GEOMETRY);
+    assert.equal(capacity, 1000);
+    assert.equal(total, 2);
+    assert.deepEqual(requests, [{ cylinder: 0, arrival: 0 }, { cylinder: 150, arrival: 10 }]);
+    assert.throws(() => traceToRequests(records, GEOMETRY, { capacity: 500 }), /beyond the disk capacity/);
+});
+
+test('large traces are sampled evenly or windowed', () => {
+    const records = Array.from({ length: 1000 }, (_, i) => ({ time: i, lba: i, size: 1, op: 'R' }));
+
+    const sampled = traceToRequests(records, GEOMETRY, { limit: 4 }).requests;
+    assert.deepEqual(sampled.map(r => r.arrival), [0, 250, 500, 750]);
+
+    const windowed = traceToRequests(records, GEOMETRY, { limit: 3, mode: 'window', start: 995 }).requests;
+    assert.deepEqual(windowed, [{ cylinder: 199, arrival: 0 }, { cylinder: 199, arrival: 1 }, { cylinder: 199, arrival: 2 }]);
+    assert.equal(traceToRequests(records, GEOMETRY, { limit: 10, mode: 'window', start: 998 }).requests.length, 2);
+
+    assert.throws(() => traceToRequests(records, GEOMETRY, { limit: 0 }), /Invalid request limit/);
+    assert.throws(() => traceToRequests(records, GEOMETRY, { mode: 'window', start: 1000 }), /only has 1000 requests/);
+    // The window start is ignored when sampling, even if the box is empty
+    assert.equal(traceToRequests(records, GEOMETRY, { limit: 4, start: NaN }).requests.length, 4);
+});
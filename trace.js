@@ -0,0 +1,196 @@
+/**
+ * @file trace.js
+ * * Trace file import: turns recorded block I/O into a request list.
+ * - Part 1: Parsing CSV and blkparse traces.
+ * - Part 2: Mapping LBAs to cylinders and reducing large traces.
+ * - Part 3: Node module exports.
+ * * This file has no dependencies and no DOM access, so it runs in the
+ * browser and under Node alike.
+ */
+
+// ===================================================================
+//
+// Part 1: Parsing CSV and blkparse traces.
+//
+// A trace record is `{ time, lba, size, op }`: the time the request was
+// issued, in milliseconds, its first logical block (sector), its length in
+// sectors and whether it reads ('R') or writes ('W').
+//
+// ===================================================================
+
+// One blkparse event with a sector range, e.g.
+// "  8,0    3        1     0.000000000   697  Q  WS 223490 + 8 [kjournald]"
+// Groups: timestamp (seconds), action, RWBS flags, sector, size.
+const BLKPARSE_LINE = /^\s*\d+,\d+\s+\d+\s+\d+\s+(\d+\.\d+)\s+\d+\s+([A-Z]+)\s+([A-Z]+)\s+(\d+)\s+\+\s+(\d+)/;
+
+/**
+ * Parses a CSV trace with the columns `time,lba,size,op`. Time is in
+ * milliseconds; size (in sectors) and op may be left out. A header line,
+ * blank lines and lines starting with `#` are skipped.
+ * @param {string} text - The file contents.
+ * @returns {{time: number, lba: number, size: number, op: string}[]} The records, in file order.
+ * @throws {Error} If a line cannot be read.
+ */
+function parseCsvTrace(text) {
+    const records = [];
+    text.split(/\r?\n/).forEach((line, index) => {
+        const trimmed = line.trim();
+        if (trimmed === '' || trimmed.startsWith('#')) return;
+
+        const [timeStr, lbaStr, sizeStr, opStr] = trimmed.split(',').map(field => field.trim());
+        // A header names the columns instead of giving numbers
+        if (records.length === 0 && isNaN(Number(timeStr)) && isNaN(Number(lbaStr))) return;
+
+        const time = Number(timeStr);
+        const lba = Number(lbaStr);
+        const size = (sizeStr === undefined || sizeStr === '') ? 1 : Number(sizeStr);
+        if (timeStr === '' || isNaN(time) || time < 0 || !Number.isInteger(lba) || lba < 0 || !Number.isInteger(size) || size < 1) {
+            throw new Error(`Could not read line ${index + 1} of the trace. Expected time,lba,size,op.`);
+        }
+        records.push({ time, lba, size, op: normalizeOp(opStr) });
+    });
+    return records;
+}
+
+/**
+ * Parses the default text output of blkparse. Only events with a sector
+ * range are used, and of those only the queue events (action Q), which mark
+ * when the request reached the I/O scheduler. Traces without queue events
+ * fall back to the dispatch events (action D). Timestamps are converted from
+ * seconds to milliseconds.
+ * @param {string} text - The blkparse output.
+ * @returns {{time: number, lba: number, size: number, op: string}[]} The records, in file order.
+ */
+function parseBlkparseTrace(text) {
+    const events = [];
+    for (const line of text.split(/\r?\n/)) {
+        const match = line.match(BLKPARSE_LINE);
+        if (!match) continue;
+        const [, seconds, action, rwbs, sector, size] = match;
+        // Skip flushes, discards and other events that neither read nor write
+        if (!rwbs.includes('R') && !rwbs.includes('W')) continue;
+        events.push({
+            action,
+            record: { time: parseFloat(seconds) * 1000, lba: parseInt(sector, 10), size: parseInt(size, 10), op: rwbs.includes('W') ? 'W' : 'R' }
+        });
+    }
+    const action = events.some(e => e.action === 'Q') ? 'Q' : 'D';
+    return events.filter(e => e.action === action).map(e => e.record);
+}
+
+/**
+ * Parses a trace file, detecting whether it is blkparse output or CSV.
+ * @param {string} text - The file contents.
+ * @returns {{format: string, records: object[]}} The format ('blkparse' or 'csv') and the records.
+ * @throws {Error} If the file cannot be read or holds no requests.
+ */
+function parseTrace(text) {
+    const isBlkparse = text.split(/\r?\n/).some(line => BLKPARSE_LINE.test(line));
+    const format = isBlkparse ? 'blkparse' : 'csv';
+    const records = isBlkparse ? parseBlkparseTrace(text) : parseCsvTrace(text);
+    if (records.length === 0) {
+        throw new Error('The trace holds no read or write requests.');
+    }
+    return { format, records };
+}
+
+/**
+ * Normalizes an operation column to 'R' or 'W'.
+ * @param {string|undefined} op - The column, e.g. "R", "write" or "WS".
+ * @returns {string} 'W' for writes, otherwise 'R'.
+ */
+function normalizeOp(op) {
+    return (op !== undefined && op.toUpperCase().startsWith('W')) ? 'W' : 'R';
+}
+
+
+// ===================================================================
+//
+// Part 2: Mapping LBAs to cylinders and reducing large traces.
+//
+// ===================================================================
+
+// Default number of requests kept from a trace, so the canvas stays readable
+const DEFAULT_TRACE_LIMIT = 50;
+
+/**
+ * Maps a logical block address to a cylinder. The address space is spread
+ * evenly over the cylinders of the configured geometry.
+ * @param {number} lba - The block address.
+ * @param {number} capacity - The number of blocks on the disk.
+ * @param {{min: number, max: number}} geometry - The disk geometry.
+ * @returns {number} The cylinder.
+ */
+function lbaToCylinder(lba, capacity, geometry) {
+    const cylinders = geometry.max - geometry.min + 1;
+    return geometry.min + Math.floor(lba * cylinders / capacity);
+}
+
+/**
+ * Turns trace records into timed requests for the simulator. Records are put
+ * in time order, reduced to at most `limit` of them, mapped to cylinders and
+ * given arrival times in milliseconds from the first request kept.
+ * - 'sample' keeps requests evenly spread over the whole trace.
+ * - 'window' keeps consecutive requests, starting at record `start`.
+ * @param {{time: number, lba: number, size: number}[]} records - From parseTrace.
+ * @param {{min: number, max: number}} geometry - The disk geometry.
+ * @param {object} [options] - `limit`, `mode` ('sample' or 'window'), `start` (window mode only), and
+ * `capacity` (blocks on the disk; defaults to the end of the highest block in the trace).
+ * @returns {{requests: {cylinder: number, arrival: number}[], total: number, capacity: number}}
+ * The requests, how many records the trace held and the capacity used.
+ * @throws {Error} If an option is invalid.
+ */
+function traceToRequests(records, geometry, options = {}) {
+    const { limit = DEFAULT_TRACE_LIMIT, mode = 'sample', start = 0 } = options;
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw new Error('Invalid request limit. Must be 1 or greater.');
+    }
+    if (mode === 'window' && (!Number.isInteger(start) || start < 0 || start >= records.length)) {
+        throw new Error(`Invalid window start. The trace only has ${records.length} requests.`);
+    }
+
+    // Not Math.max(...): a long trace would overflow the call stack
+    const capacity = options.capacity || records.reduce((end, r) => Math.max(end, r.lba + r.size), 0);
+    if (!Number.isInteger(capacity) || capacity < 1) {
+        throw new Error('Invalid disk capacity. Must be a whole number of blocks, 1 or more.');
+    }
+    if (records.some(r => r.lba >= capacity)) {
+        throw new Error(`The trace addresses blocks beyond the disk capacity of ${capacity}.`);
+    }
+
+    const sorted = [...records].sort((a, b) => a.time - b.time);
+    let kept;
+    if (mode === 'window') {
+        kept = sorted.slice(start, start + limit);
+    } else if (sorted.length <= limit) {
+        kept = sorted;
+    } else {
+        kept = Array.from({ length: limit }, (_, i) => sorted[Math.floor(i * sorted.length / limit)]);
+    }
+
+    // The request box takes whole-number arrival times
+    const origin = kept[0].time;
+    const requests = kept.map(r => ({
+        cylinder: lbaToCylinder(r.lba, capacity, geometry),
+        arrival: Math.round(r.time - origin)
+    }));
+    return { requests, total: records.length, capacity };
+}
+
+
+// ===================================================================
+//
+// Part 3: Node module exports.
+//
+// ===================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_TRACE_LIMIT,
+        parseCsvTrace,
+        parseBlkparseTrace,
+        parseTrace,
+        lbaToCylinder,
+        traceToRequests
+    };
+}
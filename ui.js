@@ -6,7 +6,7 @@
  * - Handles all UI event listeners.
  * - Manages the animation loop.
  * - Updates all UI elements (stats, buttons, etc.).
- * * This file depends on algorithms.js and animation.js.
+ * * This file depends on algorithms.js, trace.js, session.js, bench.js, grade.js, custom.js and animation.js.
  */
 
 // Run the application once the DOM is loaded
@@ -14,33 +14,41 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // --- GLOBAL CONSTANTS ---
     // These are defined on the window object to be accessible by other scripts
+    // Disk geometry (first/last cylinder). Updated from the geometry inputs by readGeometry().
+    window.DISK_MIN = 0;
     window.DISK_MAX = 199;
     window.POINT_RADIUS = 6;
     window.PADDING = 40; // Canvas padding on left/right
     window.HEAD_Y = 50; // Y-position for the disk head
     window.REQUEST_Y = 90; // Y-position for requests
+    window.PATH_CHART_HEIGHT = 300; // Height of the head movement chart
+    window.RACE_LANE_HEIGHT = 44; // Height of one algorithm's lane in race mode
     
     // Pastel Color Palette
     window.COLORS = {
         pending: '#a7c7e7', // Pastel Blue
         served: '#bce2b4', // Pastel Green
-        head: '#f4a4a4'    // Pastel Red
-    };
-
-    // Algorithm Descriptions
-    window.ALGO_DESCRIPTIONS = {
-        'fcfs': 'Simple. In-order queue.',
-        'sstf': 'Greedy. Minimizes seek.',
-        'scan': 'Elevator. Sweeps to end.',
-        'c-scan': 'Circular. Sweeps to end.',
-        'look': 'Elevator. Sweeps to last.',
-        'c-look': 'Circular. Sweeps to last.'
+        head: '#f4a4a4',   // Pastel Red
+        future: '#9ca3af', // Gray, requests that haven't arrived yet
+        queued: '#f7d794', // Pastel Yellow, requests waiting in a later sub-queue
+        missed: '#c9a7e7', // Pastel Purple, requests that missed their deadline
+        starving: '#f6b26b' // Pastel Orange, requests waiting longer than the starvation threshold
     };
 
     // --- DOM ELEMENTS (Global) ---
     // Canvas and Context
     window.canvas = document.getElementById('diskCanvas');
     window.ctx = window.canvas.getContext('2d');
+    window.pathCanvas = document.getElementById('pathCanvas');
+    window.pathCtx = window.pathCanvas.getContext('2d');
+    window.raceCanvas = document.getElementById('raceCanvas');
+    window.raceCtx = window.raceCanvas.getContext('2d');
+    const raceGroup = document.getElementById('raceGroup');
+    const raceModeCheckbox = document.getElementById('raceMode');
+    const practiceModeCheckbox = document.getElementById('practiceMode');
+    const practicePanel = document.getElementById('practicePanel');
+    const practiceFeedback = document.getElementById('practiceFeedback');
+    const practiceScoreOutput = document.getElementById('practiceScore');
     
     // Theme
     const themeToggleBtn = document.getElementById('themeToggleBtn');
@@ -54,8 +62,42 @@ document.addEventListener('DOMContentLoaded', () => {
     const reqInput = document.getElementById('requests');
     const headInput = document.getElementById('startHead');
     const dirSelect = document.getElementById('direction');
+    const nStepGroup = document.getElementById('nStepGroup');
+    const nStepInput = document.getElementById('nStepSize');
+    const agingGroup = document.getElementById('agingGroup');
+    const agingInput = document.getElementById('agingFactor');
+    const starvationInput = document.getElementById('starvationThreshold');
+    const agingUnit = document.getElementById('agingUnit');
+    const starvationUnit = document.getElementById('starvationUnit');
     const btnRandom = document.getElementById('btnRandom');
     const randomCountInput = document.getElementById('randomCount');
+    const randomDistributionSelect = document.getElementById('randomDistribution');
+    const randomSeedInput = document.getElementById('randomSeed');
+    const randomDuplicatesCheckbox = document.getElementById('randomDuplicates');
+    const seedInfo = document.getElementById('seedInfo');
+    const traceFileInput = document.getElementById('traceFile');
+    const btnLoadTrace = document.getElementById('btnLoadTrace');
+    const traceModeSelect = document.getElementById('traceMode');
+    const traceLimitInput = document.getElementById('traceLimit');
+    const traceStartInput = document.getElementById('traceStart');
+    const traceInfo = document.getElementById('traceInfo');
+    const diskMinInput = document.getElementById('diskMin');
+    const diskMaxInput = document.getElementById('diskMax');
+    const requestsHint = document.getElementById('requestsHint');
+    const dirRightOption = document.querySelector('#direction option[value="right"]');
+    const dirLeftOption = document.querySelector('#direction option[value="left"]');
+    const driveEnabled = document.getElementById('driveEnabled');
+    const driveGroup = document.getElementById('driveGroup');
+    // Drive model inputs, keyed by the setting they hold (see DEFAULT_DRIVE in algorithms.js)
+    const driveInputs = {
+        rpm: document.getElementById('driveRpm'),
+        sectorsPerTrack: document.getElementById('driveSectors'),
+        transferSectors: document.getElementById('driveTransfer'),
+        settleMs: document.getElementById('driveSettle'),
+        accelMs: document.getElementById('driveAccel'),
+        coastAfter: document.getElementById('driveCoastAfter'),
+        coastMsPerCylinder: document.getElementById('driveCoastSpeed')
+    };
     
     // Controls
     const btnStart = document.getElementById('btnStart');
@@ -65,15 +107,29 @@ document.addEventListener('DOMContentLoaded', () => {
     const btnStepBack = document.getElementById('btnStepBack');
     const speedControl = document.getElementById('speedControl');
     const timelineScrubber = document.getElementById('timelineScrubber');
+    const clockOutput = document.getElementById('clockOutput');
     
     // Outputs
     const totalSeekOutput = document.getElementById('totalSeekOutput');
     const avgSeekOutput = document.getElementById('avgSeekOutput');
+    const serviceTimeCard = document.getElementById('serviceTimeCard');
+    const serviceTimeOutput = document.getElementById('serviceTimeOutput');
+    const avgServiceTimeOutput = document.getElementById('avgServiceTimeOutput');
     const sequenceOutput = document.getElementById('sequenceOutput');
+    const responseSection = document.getElementById('responseSection');
+    const responseTableBody = document.getElementById('responseTableBody');
+    const starvationSummary = document.getElementById('starvationSummary');
+    const deadlineSection = document.getElementById('deadlineSection');
+    const deadlineSummary = document.getElementById('deadlineSummary');
+    const deadlineTableBody = document.getElementById('deadlineTableBody');
     
     // Export
     const btnExportPNG = document.getElementById('btnExportPNG');
     const btnExportTXT = document.getElementById('btnExportTXT');
+    const btnExportJSON = document.getElementById('btnExportJSON');
+    const btnImportJSON = document.getElementById('btnImportJSON');
+    const sessionFileInput = document.getElementById('sessionFile');
+    const btnCopyLink = document.getElementById('btnCopyLink');
     
     // Compare Modal
     const btnCompare = document.getElementById('btnCompare');
@@ -81,15 +137,78 @@ document.addEventListener('DOMContentLoaded', () => {
     const closeCompareModal = document.getElementById('closeCompareModal');
     const compareModalInputs = document.getElementById('compareModalInputs');
     const compareModalTableBody = document.getElementById('compareModalTableBody');
+    const compareHeaderRow = document.getElementById('compareHeaderRow');
+    const compareLegend = document.getElementById('compareLegend');
+    const consistencyCheck = document.getElementById('consistencyCheck');
+
+    // Benchmark Modal
+    window.benchCanvas = document.getElementById('benchCanvas');
+    window.benchCtx = window.benchCanvas.getContext('2d');
+    const btnBenchmark = document.getElementById('btnBenchmark');
+    const benchModal = document.getElementById('benchModal');
+    const closeBenchModal = document.getElementById('closeBenchModal');
+    const benchTrialsInput = document.getElementById('benchTrials');
+    const benchCountInput = document.getElementById('benchCount');
+    const benchHeadPolicySelect = document.getElementById('benchHeadPolicy');
+    const btnRunBenchmark = document.getElementById('btnRunBenchmark');
+    const btnExportBenchCSV = document.getElementById('btnExportBenchCSV');
+    const benchError = document.getElementById('benchError');
+    const benchInfo = document.getElementById('benchInfo');
+    const benchProgress = document.getElementById('benchProgress');
+    const benchTableBody = document.getElementById('benchTableBody');
+
+    // Grading Modal
+    const btnGrade = document.getElementById('btnGrade');
+    const gradeModal = document.getElementById('gradeModal');
+    const closeGradeModal = document.getElementById('closeGradeModal');
+    const gradeInfo = document.getElementById('gradeInfo');
+    const gradeSequenceInput = document.getElementById('gradeSequence');
+    const gradeTotalInput = document.getElementById('gradeTotal');
+    const gradeEitherReturnSweepCheckbox = document.getElementById('gradeEitherReturnSweep');
+    const btnCheckAnswer = document.getElementById('btnCheckAnswer');
+    const gradeError = document.getElementById('gradeError');
+    const gradeResult = document.getElementById('gradeResult');
+
+    // Custom Algorithm Editor Modal
+    const btnCustomAlgorithm = document.getElementById('btnCustomAlgorithm');
+    const customModal = document.getElementById('customModal');
+    const closeCustomModal = document.getElementById('closeCustomModal');
+    const customSavedSelect = document.getElementById('customSaved');
+    const customNameInput = document.getElementById('customName');
+    const customSourceInput = document.getElementById('customSource');
+    const customError = document.getElementById('customError');
+    const btnSaveCustom = document.getElementById('btnSaveCustom');
+    const btnDeleteCustom = document.getElementById('btnDeleteCustom');
 
 
     // --- GLOBAL APPLICATION STATE ---
-    window.history = []; // Stores the full animation path, state by state
-    window.currentStateIndex = 0; // Pointer to the current state in `history`
+    // Not `window.history`: that is the browser's read-only History object.
+    window.simHistory = []; // Stores the full animation path, state by state
+    window.currentStateIndex = 0; // Pointer to the current state in `simHistory`
     window.isPlaying = false;
-    window.animationSpeed = 500; // Default speed
-    window.timerId = null;
+    window.animationSpeed = 0.5; // Head speed while playing, in disk widths per second, so any disk size plays alike
+    window.headTravel = null; // While the head glides to the current state: cylinders covered so far; null at rest
+    window.timerId = null; // requestAnimationFrame id of the animation loop
     window.originalRequestSet = new Set(); // Stores the initial parsed requests
+    window.raceMode = false; // Animate every algorithm side by side
+    window.practiceMode = false; // The learner clicks the request they think is served next
+    window.raceLanes = []; // Race mode: { id, name, steps } per algorithm, sharing the timeline
+    window.responseReport = []; // Per-request results of the run (see summarizeResponses)
+    window.highlightedRequest = null; // Cylinder hovered in the request table, ringed on the track
+    window.starvationThreshold = 200; // Requests waiting longer than this are marked as starving
+    let lastComparison = null; // Last Compare All results, re-sorted without re-running
+    let compareSort = { key: 'seek', ascending: true }; // Compare All column being sorted by
+    let loadedTrace = null; // Last imported trace file: { name, format, records }
+    let lastBenchmark = null; // Last Monte Carlo benchmark: { benchmark, summary }
+    let stopBenchmark = null; // Stops the benchmark that is running, if any (see runBenchmarkInChunks)
+    let generatedWorkload = null; // Last generated queue: { seed, distribution, duplicates, requests }
+    let practiceScore = { correct: 0, answered: 0 }; // Practice mode: predictions so far
+    let lastFrameTime = null; // Time of the previous animation frame
+    let restTime = 0; // ms the head has rested on the current state while playing
+    const ARRIVAL_PAUSE_MS = 150; // Rest on each state while playing, so every arrival is visible
+    const CUSTOM_STORAGE_KEY = 'customAlgorithms'; // localStorage key of the saved user algorithms
+    let customAlgorithms = []; // Saved user algorithms: { id, name, source }
+    const SETTING_GROUPS = { nStepSize: nStepGroup, agingFactor: agingGroup }; // The input of each algorithm setting (see registerAlgorithm)
 
     
     // ===================================================================
@@ -101,12 +220,18 @@ document.addEventListener('DOMContentLoaded', () => {
      */
     function init() {
         setupTheme();
+        loadCustomAlgorithms();
+        populateAlgorithmSelect();
         resizeCanvas(); // from animation.js
         draw(); // from animation.js
         updateUI();
         addEventListeners();
         updateAlgoDescription(); // Set initial description
-        window.animationSpeed = parseInt(document.querySelector('input[name="speed"]:checked').value, 10);
+        updateGeometryLabels();
+        updateClockUnits();
+        window.animationSpeed = parseFloat(document.querySelector('input[name="speed"]:checked').value);
+        window.starvationThreshold = parseFloat(starvationInput.value) || window.starvationThreshold;
+        if (location.hash) applyPermalink(location.hash);
     }
 
     /**
@@ -116,11 +241,27 @@ document.addEventListener('DOMContentLoaded', () => {
         window.addEventListener('resize', () => {
             resizeCanvas(); // from animation.js
             draw(); // from animation.js
+            if (lastBenchmark && !benchModal.classList.contains('hidden')) drawBoxPlot(lastBenchmark.summary);
         });
         
         themeToggleBtn.addEventListener('click', handleThemeToggle);
         btnRandom.addEventListener('click', handleRandomInputs);
+        btnLoadTrace.addEventListener('click', () => traceFileInput.click());
+        traceFileInput.addEventListener('change', handleTraceFile);
+        traceModeSelect.addEventListener('change', () => {
+            traceStartInput.disabled = (traceModeSelect.value !== 'window');
+            applyTrace();
+        });
+        traceLimitInput.addEventListener('change', applyTrace);
+        traceStartInput.addEventListener('change', applyTrace);
         window.algorithmSelect.addEventListener('change', updateAlgoDescription);
+        starvationInput.addEventListener('change', handleStarvationThresholdChange);
+        diskMinInput.addEventListener('change', handleGeometryChange);
+        diskMaxInput.addEventListener('change', handleGeometryChange);
+        driveEnabled.addEventListener('change', () => {
+            driveGroup.classList.toggle('hidden', !driveEnabled.checked);
+            updateClockUnits();
+        });
 
         btnStart.addEventListener('click', handleStart);
         btnPause.addEventListener('click', handlePause);
@@ -129,16 +270,74 @@ document.addEventListener('DOMContentLoaded', () => {
         btnStepBack.addEventListener('click', handleStepBackward);
         
         speedControl.addEventListener('change', (e) => {
-            window.animationSpeed = parseInt(e.target.value, 10);
+            window.animationSpeed = parseFloat(e.target.value);
         });
         
         timelineScrubber.addEventListener('input', handleScrubberInput);
+        responseTableBody.addEventListener('mouseover', handleResponseHover);
+        responseTableBody.addEventListener('mouseleave', () => {
+            window.highlightedRequest = null;
+            draw();
+        });
         
         btnExportPNG.addEventListener('click', handleExportPNG);
         btnExportTXT.addEventListener('click', handleExportTXT);
+        btnExportJSON.addEventListener('click', handleExportJSON);
+        btnImportJSON.addEventListener('click', () => sessionFileInput.click());
+        sessionFileInput.addEventListener('change', handleSessionFile);
+        btnCopyLink.addEventListener('click', handleCopyLink);
+        // Back/forward between shared links (and links pasted into the address bar)
+        window.addEventListener('popstate', () => applyPermalink(location.hash));
         
         btnCompare.addEventListener('click', handleCompareAll);
         closeCompareModal.addEventListener('click', () => compareModal.classList.add('hidden'));
+        raceModeCheckbox.addEventListener('change', () => {
+            window.raceMode = raceModeCheckbox.checked;
+            raceGroup.classList.toggle('hidden', !window.raceMode);
+            resizeCanvas(); // The race canvas has no width while hidden
+            draw();
+        });
+        compareHeaderRow.addEventListener('click', handleCompareSort);
+        practiceModeCheckbox.addEventListener('change', () => {
+            window.practiceMode = practiceModeCheckbox.checked;
+            practicePanel.classList.toggle('hidden', !window.practiceMode);
+            window.canvas.classList.toggle('cursor-pointer', window.practiceMode);
+            resetPractice();
+            updateButtonStates();
+        });
+        window.canvas.addEventListener('click', handlePracticeClick);
+
+        btnBenchmark.addEventListener('click', () => {
+            benchModal.classList.remove('hidden');
+            // The canvas has no width while the modal is hidden
+            if (lastBenchmark) drawBoxPlot(lastBenchmark.summary);
+        });
+        closeBenchModal.addEventListener('click', () => {
+            // Closing the modal abandons a benchmark that is still running
+            if (stopBenchmark) {
+                finishBenchmark();
+                benchInfo.textContent = 'The benchmark was stopped before it finished.';
+            }
+            benchModal.classList.add('hidden');
+        });
+        btnRunBenchmark.addEventListener('click', handleRunBenchmark);
+        btnExportBenchCSV.addEventListener('click', handleExportBenchmarkCSV);
+
+        btnGrade.addEventListener('click', () => {
+            gradeModal.classList.remove('hidden');
+            updateGradeInfo();
+        });
+        closeGradeModal.addEventListener('click', () => gradeModal.classList.add('hidden'));
+        btnCheckAnswer.addEventListener('click', handleCheckAnswer);
+
+        btnCustomAlgorithm.addEventListener('click', () => {
+            customError.classList.add('hidden');
+            customModal.classList.remove('hidden');
+        });
+        closeCustomModal.addEventListener('click', () => customModal.classList.add('hidden'));
+        customSavedSelect.addEventListener('change', handleCustomSelect);
+        btnSaveCustom.addEventListener('click', handleSaveCustom);
+        btnDeleteCustom.addEventListener('click', handleDeleteCustom);
     }
 
     // ===================================================================
@@ -199,28 +398,59 @@ document.addEventListener('DOMContentLoaded', () => {
         errorMessageBox.textContent = '';
     }
 
+    /**
+     * Fills the algorithm dropdown from the algorithm registry (algorithms.js).
+     * @param {string} [selected='scan'] - The id of the algorithm to select.
+     */
+    function populateAlgorithmSelect(selected = 'scan') {
+        window.algorithmSelect.innerHTML = '';
+        for (const algo of listAlgorithms()) {
+            const option = document.createElement('option');
+            option.value = algo.id;
+            option.textContent = algo.name;
+            option.defaultSelected = (algo.id === 'scan');
+            window.algorithmSelect.appendChild(option);
+        }
+        window.algorithmSelect.value = selected;
+    }
+
     /**
      * Updates the algorithm description text.
      */
     function updateAlgoDescription() {
-        const algo = window.algorithmSelect.value;
-        algoDescription.textContent = window.ALGO_DESCRIPTIONS[algo] || '';
+        const algo = getAlgorithm(window.algorithmSelect.value);
+        algoDescription.textContent = algo.description;
+        // Only the settings the algorithm reads are shown
+        for (const [key, group] of Object.entries(SETTING_GROUPS)) {
+            group.classList.toggle('hidden', !algo.settings.some(setting => setting.key === key));
+        }
     }
 
     /**
      * Updates all non-canvas UI elements (stats, buttons).
      */
     function updateUI() {
-        if (window.history.length <= 1) { // 0 or 1 (only start)
+        if (window.simHistory.length <= 1) { // 0 or 1 (only start)
             totalSeekOutput.textContent = '0';
             avgSeekOutput.textContent = '0.00';
+            clockOutput.textContent = '0';
+            serviceTimeCard.classList.add('hidden');
             // Use theme-aware text color for placeholder
             sequenceOutput.innerHTML = '<span class="text-gray-400 dark:text-gray-500">Waiting for simulation...</span>';
         } else {
-            const state = window.history[window.currentStateIndex];
+            const state = window.simHistory[clampStep(window.simHistory)];
             totalSeekOutput.textContent = state.seek;
             // Use originalRequestSet.size for avg
             avgSeekOutput.textContent = (window.originalRequestSet.size > 0 ? (state.seek / window.originalRequestSet.size) : 0).toFixed(2);
+
+            // With the drive model the clock is in milliseconds
+            const timed = (state.ms !== null);
+            clockOutput.textContent = formatTime(state.time) + (timed ? ' ms' : '');
+            serviceTimeCard.classList.toggle('hidden', !timed);
+            if (timed) {
+                serviceTimeOutput.textContent = state.ms.toFixed(2);
+                avgServiceTimeOutput.textContent = (state.servedOrder.length > 0 ? state.ms / state.servedOrder.length : 0).toFixed(2);
+            }
             
             if (state.servedOrder.length > 0) {
                 sequenceOutput.textContent = state.servedOrder.join(' → ');
@@ -230,23 +460,112 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         }
         
+        updateResponseTable();
+        updateDeadlineTable();
         timelineScrubber.value = window.currentStateIndex;
         updateButtonStates();
     }
 
+    /**
+     * Updates the per-request table for the current state. Requests the head
+     * hasn't served yet show dashes, and the one served last is highlighted.
+     */
+    function updateResponseTable() {
+        const report = (window.simHistory.length > 1) ? window.responseReport : [];
+        responseSection.classList.toggle('hidden', report.length === 0);
+        if (report.length === 0) return;
+
+        const state = window.simHistory[clampStep(window.simHistory)];
+        const servedCount = state.servedOrder.length;
+        let starving = 0;
+        responseTableBody.innerHTML = report.map(r => {
+            const done = r.order <= servedCount;
+            // Requests still waiting show how long they have waited so far
+            const arrived = r.arrival <= state.time;
+            const wait = done ? r.wait : state.time - r.arrival;
+            const starved = arrived && wait > window.starvationThreshold;
+            if (starved) starving++;
+
+            let rowClass = done ? 'text-gray-800 dark:text-gray-100' : 'text-gray-400 dark:text-gray-500';
+            if (r.order === servedCount) rowClass += ' bg-green-100 dark:bg-green-800 font-semibold';
+            let waited = '-';
+            if (done || arrived) waited = done ? formatTime(wait) : `${formatTime(wait)}…`;
+            if (starved) waited = `<span class="text-orange-600 dark:text-orange-400 font-semibold" title="Waited longer than the starvation threshold">⌛ ${waited}</span>`;
+            return `
+                <tr data-cylinder="${r.cylinder}" class="${rowClass} hover:bg-blue-50 dark:hover:bg-slate-600">
+                    <td class="p-2">${r.cylinder}</td>
+                    <td class="p-2">${r.queuePosition}</td>
+                    <td class="p-2">${done ? r.order : '-'}</td>
+                    <td class="p-2">${done ? r.seek : '-'}</td>
+                    <td class="p-2">${waited}</td>
+                </tr>
+            `;
+        }).join('');
+
+        const unit = (state.ms !== null) ? 'ms' : 'time units';
+        starvationSummary.textContent = (starving > 0)
+            ? `⌛ ${starving} request${starving === 1 ? ' has' : 's have'} waited longer than ${formatTime(window.starvationThreshold)} ${unit}.`
+            : '';
+    }
+
+    /**
+     * Handles the pointer moving over the request table: rings the hovered
+     * request on the track.
+     * @param {MouseEvent} e - The mouseover event.
+     */
+    function handleResponseHover(e) {
+        const row = e.target.closest('tr[data-cylinder]');
+        const cylinder = row ? parseInt(row.dataset.cylinder, 10) : null;
+        if (cylinder === window.highlightedRequest) return;
+        window.highlightedRequest = cylinder;
+        draw();
+    }
+
+    /**
+     * Updates the per-request deadline results for the current state.
+     * The section is only shown when the simulated requests have deadlines.
+     */
+    function updateDeadlineTable() {
+        const report = (window.simHistory.length > 1) ? window.deadlineReport : [];
+        deadlineSection.classList.toggle('hidden', report.length === 0);
+        if (report.length === 0) return;
+
+        const now = window.simHistory[clampStep(window.simHistory)].time;
+        const served = report.filter(r => r.finish <= now);
+        const missed = served.filter(r => r.missed).length;
+        deadlineSummary.textContent = `Missed ${missed} of ${report.length} deadlines so far.`;
+
+        deadlineTableBody.innerHTML = '';
+        report.forEach(r => {
+            const done = r.finish <= now;
+            const lateness = done ? (r.lateness > 0 ? `+${formatTime(r.lateness)}` : formatTime(r.lateness)) : '-';
+            const rowClass = (done && r.missed) ? 'bg-purple-100 dark:bg-purple-900 font-semibold' : '';
+            deadlineTableBody.innerHTML += `
+                <tr class="${rowClass} text-gray-800 dark:text-gray-100">
+                    <td class="p-2">${r.cylinder}</td>
+                    <td class="p-2">${r.arrival}</td>
+                    <td class="p-2">${r.deadline}</td>
+                    <td class="p-2">${done ? formatTime(r.finish) : '-'}</td>
+                    <td class="p-2">${lateness}${(done && r.missed) ? ' (missed)' : ''}</td>
+                </tr>
+            `;
+        });
+    }
+
     /**
      * Enables/disables control buttons based on the current state.
      */
     function updateButtonStates() {
         const atStart = (window.currentStateIndex === 0);
-        const atEnd = (window.currentStateIndex >= window.history.length - 1); // >= to handle empty history
-        const hasHistory = window.history.length > 1;
+        const atEnd = (window.currentStateIndex >= lastStepIndex()); // >= to handle empty history
+        const hasHistory = window.simHistory.length > 1;
 
-        btnStart.disabled = window.isPlaying || (hasHistory && atEnd);
+        // Practice mode advances by predicting, not by playing or stepping ahead
+        btnStart.disabled = window.isPlaying || (hasHistory && atEnd) || window.practiceMode;
         btnPause.disabled = !window.isPlaying;
         btnReset.disabled = window.isPlaying;
         
-        btnStepFwd.disabled = window.isPlaying || (hasHistory && atEnd);
+        btnStepFwd.disabled = window.isPlaying || (hasHistory && atEnd) || window.practiceMode;
         btnStepBack.disabled = window.isPlaying || !hasHistory || atStart;
 
         // Disable inputs while playing or history exists
@@ -255,10 +574,24 @@ document.addEventListener('DOMContentLoaded', () => {
         dirSelect.disabled = window.isPlaying || hasHistory;
         btnRandom.disabled = window.isPlaying || hasHistory;
         window.algorithmSelect.disabled = window.isPlaying || hasHistory;
+        btnCustomAlgorithm.disabled = window.isPlaying || hasHistory;
+        raceModeCheckbox.disabled = window.isPlaying || hasHistory;
+        practiceModeCheckbox.disabled = window.isPlaying || hasHistory;
         randomCountInput.disabled = window.isPlaying || hasHistory;
+        btnLoadTrace.disabled = window.isPlaying || hasHistory;
+        traceModeSelect.disabled = window.isPlaying || hasHistory;
+        traceLimitInput.disabled = window.isPlaying || hasHistory;
+        traceStartInput.disabled = window.isPlaying || hasHistory || traceModeSelect.value !== 'window';
+        nStepInput.disabled = window.isPlaying || hasHistory;
+        agingInput.disabled = window.isPlaying || hasHistory;
+        diskMinInput.disabled = window.isPlaying || hasHistory;
+        diskMaxInput.disabled = window.isPlaying || hasHistory;
+        driveEnabled.disabled = window.isPlaying || hasHistory;
+        Object.values(driveInputs).forEach(input => input.disabled = window.isPlaying || hasHistory);
         btnCompare.disabled = window.isPlaying || hasHistory;
+        btnImportJSON.disabled = window.isPlaying;
         
-        timelineScrubber.disabled = !hasHistory;
+        timelineScrubber.disabled = !hasHistory || window.practiceMode;
     }
 
 
@@ -266,63 +599,323 @@ document.addEventListener('DOMContentLoaded', () => {
     // INPUT PARSING AND VALIDATION
     // ===================================================================
 
+    /**
+     * Reads and validates the disk geometry inputs.
+     * On success the global DISK_MIN/DISK_MAX are updated to match.
+     * @param {boolean} [show=true] - Whether to show errors in the UI.
+     * @returns {{min: number, max: number}|null} The cylinder range, or null if invalid.
+     */
+    function readGeometry(show = true) {
+        const min = parseInt(diskMinInput.value, 10);
+        const max = parseInt(diskMaxInput.value, 10);
+
+        if (isNaN(min) || min < 0) {
+            if (show) showError('Invalid first cylinder. Must be 0 or greater.');
+            return null;
+        }
+
+        if (isNaN(max) || max <= min) {
+            if (show) showError(`Invalid last cylinder. Must be greater than ${min}.`);
+            return null;
+        }
+
+        window.DISK_MIN = min;
+        window.DISK_MAX = max;
+        return { min, max };
+    }
+
+    /**
+     * Updates the input hints that mention the cylinder range.
+     */
+    function updateGeometryLabels() {
+        requestsHint.textContent = `Comma-separated values (${window.DISK_MIN}-${window.DISK_MAX}).`;
+        dirRightOption.textContent = `Right (Towards ${window.DISK_MAX})`;
+        dirLeftOption.textContent = `Left (Towards ${window.DISK_MIN})`;
+    }
+
+    /**
+     * Handles a change to either geometry input.
+     */
+    function handleGeometryChange() {
+        clearError();
+        if (!readGeometry()) return;
+        updateGeometryLabels();
+        // Spread an imported trace over the new cylinder range
+        if (loadedTrace) applyTrace();
+        draw();
+    }
+
+    /**
+     * Handles a change to the starvation threshold: marks the requests that
+     * have now waited too long.
+     */
+    function handleStarvationThresholdChange() {
+        clearError();
+        const threshold = parseFloat(starvationInput.value);
+        if (isNaN(threshold) || threshold <= 0) {
+            showError('Invalid starvation threshold. Must be greater than 0.');
+            return;
+        }
+        window.starvationThreshold = threshold;
+        draw();
+        updateUI();
+    }
+
+    /**
+     * Parses the request sequence input into requests with arrival times.
+     * Each entry is `cylinder`, optionally followed by `@arrival` (default 0)
+     * and `!deadline` (absolute clock time), e.g. `98@12!150`.
+     * Entries that are malformed or outside the disk are skipped.
+     * @param {{min: number, max: number}} geometry - The disk geometry.
+     * @returns {{cylinder: number, arrival: number, deadline?: number}[]} The requests in input order.
+     */
+    function parseRequestTokens(geometry) {
+        return parseRequestList(reqInput.value)
+            .filter(r => !isNaN(r.cylinder) && r.cylinder >= geometry.min && r.cylinder <= geometry.max &&
+                         !isNaN(r.arrival) && r.arrival >= 0 &&
+                         (r.deadline === undefined || (!isNaN(r.deadline) && r.deadline >= 0)));
+    }
+
+    /**
+     * Turns the drive timing model on with the given settings, or off.
+     * @param {object|null} drive - The settings (missing ones take the defaults), or null for off.
+     */
+    function setDriveInputs(drive) {
+        driveEnabled.checked = (drive !== null);
+        driveGroup.classList.toggle('hidden', drive === null);
+        for (const [key, input] of Object.entries(driveInputs)) {
+            input.value = (drive && drive[key] !== undefined) ? drive[key] : DEFAULT_DRIVE[key];
+        }
+        updateClockUnits();
+    }
+
+    /**
+     * Shows the unit of the settings measured on the simulated clock: the
+     * aging factor and the starvation threshold are in milliseconds with
+     * the drive timing model, and in time units (one per cylinder moved) without.
+     */
+    function updateClockUnits() {
+        agingUnit.textContent = driveEnabled.checked ? '(cylinders per ms)' : '(cylinders per time unit)';
+        starvationUnit.textContent = driveEnabled.checked ? '(ms)' : '(time units)';
+    }
+
+    /**
+     * Reads the drive timing model settings.
+     * @param {boolean} [show=true] - Whether to show an error for invalid settings.
+     * @returns {object|null|undefined} The drive settings, null if the model is off,
+     * or undefined if a setting is invalid.
+     */
+    function readDrive(show = true) {
+        if (!driveEnabled.checked) return null;
+        const settings = {};
+        for (const [key, input] of Object.entries(driveInputs)) {
+            settings[key] = parseFloat(input.value);
+        }
+        try {
+            return resolveDrive(settings);
+        } catch (err) {
+            if (show) showError(err.message);
+            return undefined;
+        }
+    }
+
     /**
      * Parses and validates user inputs.
      * @param {boolean} [show=true] - Whether to show errors in the UI.
-     * @returns {object|null} An object with requests, startHead, and direction, or null if invalid.
+     * @returns {object|null} An object with requests, timedRequests, startHead, direction, geometry and algorithm options, or null if invalid.
      */
     window.parseInputs = function(show = true) {
-        const reqStr = reqInput.value;
+        const geometry = readGeometry(show);
+        if (!geometry) return null;
+
         const headStr = headInput.value;
         
-        const requests = reqStr.split(',')
-            .map(s => parseInt(s.trim()))
-            .filter(n => !isNaN(n) && n >= 0 && n <= window.DISK_MAX);
+        const timedRequests = parseRequestTokens(geometry);
+        const requests = timedRequests.map(r => r.cylinder);
         
         const startHead = parseInt(headStr);
         const direction = dirSelect.value;
 
-        if (isNaN(startHead) || startHead < 0 || startHead > window.DISK_MAX) {
-            if (show) showError('Invalid Start Head. Must be between 0 and 199.');
+        if (isNaN(startHead) || startHead < geometry.min || startHead > geometry.max) {
+            if (show) showError(`Invalid Start Head. Must be between ${geometry.min} and ${geometry.max}.`);
             return null;
         }
         
         if (requests.length === 0) {
-            if (show) showError('No valid requests. Please enter numbers between 0 and 199.');
+            if (show) showError(`No valid requests. Please enter numbers between ${geometry.min} and ${geometry.max}.`);
+            return null;
+        }
+
+        const nStepSize = parseInt(nStepInput.value, 10);
+        if (isNaN(nStepSize) || nStepSize < 1) {
+            if (show) showError('Invalid sub-queue size. N must be 1 or greater.');
+            return null;
+        }
+        const agingFactor = parseFloat(agingInput.value);
+        if (isNaN(agingFactor) || agingFactor < 0) {
+            if (show) showError('Invalid aging factor. Must be 0 or greater.');
             return null;
         }
+        const drive = readDrive(show);
+        if (drive === undefined) return null;
+        // Without the drive model the clock counts cylinders, not the trace's milliseconds.
+        // Previews (show = false) still draw the trace.
+        if (show && drive === null && traceInUse()) {
+            showError('The imported trace has arrival times in milliseconds. Turn on the Physical Drive Timing Model to run it.');
+            return null;
+        }
+        const options = { nStepSize, agingFactor, geometry, drive };
 
         // FCFS needs the original list
-        if (window.algorithmSelect.value === 'fcfs') {
-            return { requests, startHead, direction };
+        if (getAlgorithm(window.algorithmSelect.value).servesDuplicates) {
+            return { requests, timedRequests, startHead, direction, geometry, options };
         }
         
         // Other algorithms use a unique, sorted list
         const uniqueRequests = [...new Set(requests)];
         uniqueRequests.sort((a, b) => a - b);
-        return { requests: uniqueRequests, startHead, direction };
+        return { requests: uniqueRequests, timedRequests, startHead, direction, geometry, options };
     }
 
 
+    // ===================================================================
+    // SIMULATION
+    // ===================================================================
+
+    /**
+     * Runs the selected algorithm through the engine (algorithms.js) and stores
+     * the result in the globals the animation reads.
+     * @param {string} algorithm - The id of a registered algorithm (e.g., 'fcfs', 'sstf').
+     * @param {number[]} requests - The list of requests (see parseInputs).
+     * @param {number} startHead - The starting head position.
+     * @param {string} direction - The starting direction ('left' or 'right').
+     * @param {{cylinder: number, arrival: number, deadline?: number}[]} timedRequests - Requests with arrival
+     * times and optional deadlines, in input order.
+     * @param {object} options - Algorithm settings and the disk geometry (see parseInputs).
+     * @returns {boolean} True if history was successfully generated.
+     */
+    function calculateSimulationHistory(algorithm, requests, startHead, direction, timedRequests, options) {
+        let result;
+        try {
+            result = simulate(algorithm, timedRequests, startHead, direction, options.geometry, options);
+        } catch (err) {
+            showError(err.message);
+            return false;
+        }
+        const { steps, stats } = result;
+
+        // Race mode: run every algorithm on the same inputs
+        let raceLanes = [];
+        if (window.raceMode) {
+            try {
+                raceLanes = listAlgorithms().map(algo => ({
+                    id: algo.id,
+                    name: algo.name,
+                    steps: simulate(algo.id, timedRequests, startHead, direction, options.geometry, options).steps
+                }));
+            } catch (err) {
+                // A registered algorithm's path generator misbehaved
+                showError(err.message);
+                return false;
+            }
+        }
+        window.raceLanes = raceLanes;
+
+        // Store the *original* set for FCFS, but a sorted set for others
+        if (getAlgorithm(algorithm).servesDuplicates) {
+            window.originalRequestSet = new Set(requests);
+        } else {
+            window.originalRequestSet = new Set([...new Set(requests)].sort((a, b) => a - b));
+        }
+
+        // Earliest arrival time and deadline of every requested cylinder, used to draw
+        // requests that haven't arrived yet or are already overdue
+        window.requestArrivals = new Map();
+        window.requestDeadlines = new Map();
+        for (const req of timedRequests) {
+            if (!window.requestArrivals.has(req.cylinder) || req.arrival < window.requestArrivals.get(req.cylinder)) {
+                window.requestArrivals.set(req.cylinder, req.arrival);
+            }
+            if (req.deadline !== undefined) {
+                const known = window.requestDeadlines.get(req.cylinder);
+                if (known === undefined || req.deadline < known) {
+                    window.requestDeadlines.set(req.cylinder, req.deadline);
+                }
+            }
+        }
+        window.deadlineReport = stats.deadlines;
+        window.responseReport = stats.responses;
+
+        window.simHistory = steps.map(step => ({ ...step, served: new Set(step.servedOrder) }));
+        window.currentStateIndex = 0;
+
+        // Add a final "dummy" state to show the last request as served
+        window.simHistory.push(window.simHistory[window.simHistory.length - 1]);
+        return true;
+    }
+
     // ===================================================================
     // ANIMATION AND CONTROL HANDLERS
     // ===================================================================
 
     /**
-     * The main animation loop.
+     * Returns the index of the last step on the timeline. In race mode the
+     * timeline runs until the slowest algorithm has finished.
+     * @returns {number} The step index.
+     */
+    function lastStepIndex() {
+        return Math.max(window.simHistory.length, ...window.raceLanes.map(lane => lane.steps.length)) - 1;
+    }
+
+    /**
+     * Returns how far the head moves to reach the current state. In race mode
+     * every lane moves at the same speed, so the step lasts until the lane
+     * with the longest move arrives.
+     * @returns {number} The distance in cylinders.
+     */
+    function stepDistance() {
+        const index = window.currentStateIndex;
+        const distances = [window.simHistory, ...window.raceLanes.map(lane => lane.steps)]
+            .filter(steps => index > 0 && index < steps.length)
+            .map(steps => Math.abs(steps[index].head - steps[index - 1].head));
+        return Math.max(0, ...distances);
+    }
+
+    /**
+     * The main animation loop, run every frame with requestAnimationFrame.
+     * The head rests briefly on each state, then glides to the next one at
+     * `animationSpeed` disk widths per second; the stats and timeline move on
+     * when it arrives.
+     * @param {DOMHighResTimeStamp} now - The time of this frame.
      */
-    function animateLoop() {
+    function animateLoop(now) {
         if (!window.isPlaying) return;
-        
-        if (window.currentStateIndex < window.history.length - 1) {
-            window.currentStateIndex++;
-            draw();
-            updateUI();
-            window.timerId = setTimeout(animateLoop, window.animationSpeed);
+        const elapsed = (lastFrameTime === null) ? 0 : now - lastFrameTime;
+        lastFrameTime = now;
+
+        if (window.headTravel !== null) {
+            window.headTravel += elapsed * window.animationSpeed * (window.DISK_MAX - window.DISK_MIN) / 1000;
+            if (window.headTravel >= stepDistance()) {
+                // Arrived: land exactly on the state
+                window.headTravel = null;
+                restTime = 0;
+                updateUI();
+            }
         } else {
-            window.isPlaying = false;
-            updateUI();
+            restTime += elapsed;
+            if (restTime >= ARRIVAL_PAUSE_MS) {
+                if (window.currentStateIndex >= lastStepIndex()) {
+                    window.isPlaying = false;
+                    updateUI();
+                    return;
+                }
+                window.currentStateIndex++;
+                window.headTravel = 0;
+            }
         }
+
+        draw();
+        window.timerId = requestAnimationFrame(animateLoop);
     }
 
     /**
@@ -332,54 +925,226 @@ document.addEventListener('DOMContentLoaded', () => {
         if (window.isPlaying) return;
         handleReset(); // Clear any existing simulation
 
+        const geometry = readGeometry();
+        if (!geometry) return;
+
         let count = parseInt(randomCountInput.value, 10);
-        if (isNaN(count) || count < 5 || count > 50) {
-            showError("Please enter a count between 5 and 50.");
+        if (isNaN(count) || count < 5 || count > 500) {
+            showError("Please enter a count between 5 and 500.");
             return;
         }
-        
-        let requests = new Set();
-        while (requests.size < count) {
-            requests.add(Math.floor(Math.random() * (window.DISK_MAX + 1)));
+
+        const seed = readSeed();
+        if (seed === null) return;
+        const distribution = randomDistributionSelect.value;
+        const duplicates = randomDuplicatesCheckbox.checked;
+
+        let workload;
+        try {
+            // from bench.js
+            workload = generateRandomWorkload(count, geometry, { distribution, duplicates, random: createRandom(seed) });
+        } catch (err) {
+            showError(err.message);
+            return;
         }
-        
-        const startHead = Math.floor(Math.random() * (window.DISK_MAX + 1));
-        const direction = Math.random() > 0.5 ? 'right' : 'left';
 
-        reqInput.value = [...requests].join(', ');
-        headInput.value = startHead;
-        dirSelect.value = direction;
+        reqInput.value = workload.requests.join(', ');
+        headInput.value = workload.startHead;
+        dirSelect.value = workload.direction;
+        generatedWorkload = { seed, distribution, duplicates, requests: reqInput.value };
+        seedInfo.textContent = `Seed ${seed}: ${count} ${describeGenerator(generatedWorkload)} requests. Enter this seed to get the same queue again.`;
 
         draw();
     }
 
     /**
-     * Handles the "Start" button click.
+     * Reads the generator's seed, or picks a new one when the field is empty.
+     * @param {boolean} [show=true] - Whether to show errors in the UI.
+     * @returns {number|null} The seed, or null if invalid.
      */
-    function handleStart() {
-        if (window.isPlaying) return;
-        clearError();
+    function readSeed(show = true) {
+        const text = randomSeedInput.value.trim();
+        if (text === '') return randomSeed(); // from bench.js
+        const seed = Number(text);
+        if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) {
+            if (show) showError(`Invalid seed. Must be a whole number from 0 to ${MAX_SEED}.`);
+            return null;
+        }
+        return seed;
+    }
+
+    /**
+     * Describes generator settings, e.g. "Zipf-skewed, duplicates allowed".
+     * @param {{distribution: string, duplicates: boolean}} generator - The settings.
+     * @returns {string} The description.
+     */
+    function describeGenerator(generator) {
+        const option = randomDistributionSelect.querySelector(`option[value="${generator.distribution}"]`);
+        const name = option ? option.textContent : generator.distribution;
+        return generator.duplicates ? `${name}, duplicates allowed` : name;
+    }
+
+    /**
+     * Returns the settings that generated the current request list, so exports
+     * can record the seed. Once the list is edited the seed no longer applies.
+     * @returns {{seed: number, distribution: string, duplicates: boolean}|null} The settings, or null.
+     */
+    function currentGenerator() {
+        if (!generatedWorkload || reqInput.value !== generatedWorkload.requests) return null;
+        const { seed, distribution, duplicates } = generatedWorkload;
+        return { seed, distribution, duplicates };
+    }
+
+    /**
+     * Handles a trace file being chosen: reads and parses it, then fills the inputs from it.
+     */
+    function handleTraceFile() {
+        const file = traceFileInput.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                loadedTrace = { name: file.name, ...parseTrace(reader.result) };
+            } catch (err) {
+                showError(err.message);
+                return;
+            }
+            applyTrace();
+        };
+        reader.onerror = () => showError(`Could not read ${file.name}.`);
+        reader.readAsText(file);
+
+        // Let the same file be chosen again after it changes on disk
+        traceFileInput.value = '';
+    }
+
+    /**
+     * Fills the request sequence from the imported trace, mapped onto the
+     * current geometry and reduced to the chosen number of requests.
+     */
+    function applyTrace() {
+        if (!loadedTrace || window.isPlaying) return;
+        handleReset(); // Clear any existing simulation
+
+        const geometry = readGeometry();
+        if (!geometry) return;
+
+        const limit = parseInt(traceLimitInput.value, 10);
+        if (isNaN(limit) || limit < 1 || limit > 500) {
+            showError("Please enter a maximum between 1 and 500 requests.");
+            return;
+        }
+
+        let result;
+        try {
+            const options = { limit, mode: traceModeSelect.value };
+            if (options.mode === 'window') {
+                options.start = parseInt(traceStartInput.value, 10);
+            }
+            result = traceToRequests(loadedTrace.records, geometry, options);
+        } catch (err) {
+            showError(err.message);
+            return;
+        }
+
+        reqInput.value = formatRequestList(result.requests);
+        loadedTrace.requestText = reqInput.value;
+        // Trace arrivals are in milliseconds, the unit of the drive model's clock
+        driveEnabled.checked = true;
+        driveGroup.classList.remove('hidden');
+        updateClockUnits();
+        const head = parseInt(headInput.value, 10);
+        if (isNaN(head) || head < geometry.min || head > geometry.max) {
+            headInput.value = result.requests[0].cylinder;
+        }
+        traceInfo.textContent = `${loadedTrace.name} (${loadedTrace.format}): ${result.requests.length} of ${result.total} requests, ` +
+            `blocks 0-${result.capacity - 1} spread over cylinders ${geometry.min}-${geometry.max}. ` +
+            'Arrival times are in milliseconds, so the drive timing model is on.';
 
+        draw();
+    }
+
+    /**
+     * Checks whether the request box still holds the imported trace.
+     * @returns {boolean} True if the requests are the trace's, unedited.
+     */
+    function traceInUse() {
+        return Boolean(loadedTrace) && reqInput.value === loadedTrace.requestText;
+    }
+
+    /**
+     * Lists the algorithms a run of the animation needs: the selected one, or all of them in race mode.
+     * @param {string} algorithm - The selected algorithm's id.
+     * @returns {string[]} The algorithm ids.
+     */
+    function simulatedAlgorithms(algorithm) {
+        return window.raceMode ? listAlgorithms().map(algo => algo.id) : [algorithm];
+    }
+
+    /**
+     * Runs the user algorithms among `ids` on the inputs in their sandbox
+     * (see custom.js), unless that was done before. Until then they cannot
+     * run on this page, so a caller that gets false stops and is retried.
+     * @param {string[]} ids - The algorithms about to run.
+     * @param {object} inputs - From parseInputs.
+     * @param {function()} retry - Called once the sandbox is done, if it had anything to do.
+     * @param {function(string)} [onError=showError] - Shows the sandbox's error.
+     * @returns {boolean} True if the algorithms can run now.
+     */
+    function userRunsReady(ids, inputs, retry, onError = showError) {
+        const job = { requests: inputs.timedRequests, startHead: inputs.startHead, direction: inputs.direction, geometry: inputs.geometry, options: inputs.options };
+        let waiting = false;
+        let ready = false;
+        prepareUserAlgorithms(ids, [job], (err) => { // from custom.js
+            if (err) onError(err.message);
+            else if (waiting) retry();
+            else ready = true;
+        });
+        waiting = true;
+        return ready;
+    }
+
+    /**
+     * Builds the run from the inputs, unless one is already there.
+     * @param {function()} retry - Called when a user algorithm has been run in its sandbox (see userRunsReady).
+     * @returns {boolean} True if a run is ready, false if the inputs are invalid or the sandbox is still running.
+     */
+    function prepareSimulation(retry) {
         // Setup simulation if it's the first run
-        if (window.history.length <= 1) {
+        if (window.simHistory.length <= 1) {
             const inputs = parseInputs();
-            if (!inputs) return; // Stop if inputs are invalid
+            if (!inputs) return false; // Stop if inputs are invalid
+            if (!userRunsReady(simulatedAlgorithms(window.algorithmSelect.value), inputs, retry)) return false;
             
-            // Call the function from algorithms.js
-            calculateSimulationHistory(window.algorithmSelect.value, inputs.requests, inputs.startHead, inputs.direction);
+            if (!calculateSimulationHistory(window.algorithmSelect.value, inputs.requests, inputs.startHead, inputs.direction, inputs.timedRequests, inputs.options)) return false;
             
             // Update timeline scrubber max value
-            timelineScrubber.max = window.history.length - 1;
+            timelineScrubber.max = lastStepIndex();
         }
+        return true;
+    }
+
+    /**
+     * Handles the "Start" button click.
+     */
+    function handleStart() {
+        if (window.isPlaying) return;
+        clearError();
+
+        if (!prepareSimulation(handleStart)) return;
         
         // Resume from end
-        if (window.currentStateIndex >= window.history.length - 1) {
+        if (window.currentStateIndex >= lastStepIndex()) {
             window.currentStateIndex = 0; // Restart
         }
 
         window.isPlaying = true;
         updateUI();
-        animateLoop();
+        // Set off for the next state on the first frame
+        lastFrameTime = null;
+        restTime = ARRIVAL_PAUSE_MS;
+        window.timerId = requestAnimationFrame(animateLoop);
     }
 
     /**
@@ -388,7 +1153,10 @@ document.addEventListener('DOMContentLoaded', () => {
     function handlePause() {
         if (!window.isPlaying) return;
         window.isPlaying = false;
-        clearTimeout(window.timerId);
+        cancelAnimationFrame(window.timerId);
+        // A gliding head lands on the state it was heading for
+        window.headTravel = null;
+        draw();
         updateUI();
     }
 
@@ -398,14 +1166,17 @@ document.addEventListener('DOMContentLoaded', () => {
     function handleReset() {
         window.isPlaying = false;
         clearError();
-        clearTimeout(window.timerId);
+        cancelAnimationFrame(window.timerId);
+        window.headTravel = null;
         
-        window.history = [];
+        window.simHistory = [];
+        window.raceLanes = [];
         window.currentStateIndex = 0;
         window.originalRequestSet.clear();
 
         timelineScrubber.max = 0;
         timelineScrubber.value = 0;
+        resetPractice();
 
         draw();
         updateUI();
@@ -418,16 +1189,9 @@ document.addEventListener('DOMContentLoaded', () => {
         if (window.isPlaying) return;
         clearError();
 
-        // Setup simulation if it's the first run
-        if (window.history.length <= 1) {
-            const inputs = parseInputs();
-            if (!inputs) return; // Stop if inputs are invalid
-            
-            calculateSimulationHistory(window.algorithmSelect.value, inputs.requests, inputs.startHead, inputs.direction);
-            timelineScrubber.max = window.history.length - 1;
-        }
+        if (!prepareSimulation(handleStepForward)) return;
 
-        if (window.currentStateIndex < window.history.length - 1) {
+        if (window.currentStateIndex < lastStepIndex()) {
             window.currentStateIndex++;
             draw();
             updateUI();
@@ -460,6 +1224,73 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
 
+    // ===================================================================
+    // PRACTICE MODE
+    // ===================================================================
+
+    /**
+     * Clears the practice score and shows the instructions.
+     */
+    function resetPractice() {
+        practiceScore = { correct: 0, answered: 0 };
+        practiceFeedback.textContent = 'Click the request on the track that you think the algorithm will serve next.';
+        practiceScoreOutput.textContent = '';
+    }
+
+    /**
+     * Finds the next step that serves a request, skipping moves that serve
+     * nothing (such as a sweep to the disk edge) and the repeated final state.
+     * @returns {number} The step index, or -1 if every request has been served.
+     */
+    function nextServingStep() {
+        const steps = window.simHistory;
+        for (let i = window.currentStateIndex + 1; i < steps.length; i++) {
+            if (steps[i] !== steps[i - 1] && steps[i].request !== null) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Handles a click on the track in practice mode: checks the clicked request
+     * against the one the algorithm serves next, then steps forward to it.
+     * @param {MouseEvent} e - The click event.
+     */
+    function handlePracticeClick(e) {
+        if (!window.practiceMode || window.isPlaying) return;
+        clearError();
+        if (!prepareSimulation(() => handlePracticeClick(e))) return;
+
+        const target = nextServingStep();
+        if (target === -1) return; // Nothing left to predict
+
+        const guess = requestAtPoint(e.offsetX, e.offsetY); // from animation.js
+        if (guess === null) return; // Not on a pending request
+
+        const answer = window.simHistory[target].request;
+        const name = getAlgorithm(window.algorithmSelect.value).name;
+        practiceScore.answered++;
+        if (guess === answer) practiceScore.correct++;
+
+        while (window.currentStateIndex < target) {
+            handleStepForward();
+        }
+
+        practiceFeedback.textContent = (guess === answer)
+            ? `✓ Correct! ${name} serves ${answer} next.`
+            : `✗ Not quite: ${name} serves ${answer} next, not ${guess}.`;
+        const { correct, answered } = practiceScore;
+        if (nextServingStep() === -1) {
+            // Show the final state too
+            while (window.currentStateIndex < lastStepIndex()) {
+                handleStepForward();
+            }
+            practiceScoreOutput.textContent = `Practice complete! You predicted ${correct} of ${answered} requests (${Math.round(correct / answered * 100)}%).`;
+        } else {
+            practiceScoreOutput.textContent = `Score: ${correct} / ${answered}`;
+        }
+    }
+
+
     // ===================================================================
     // EXPORT AND COMPARE HANDLERS
     // ===================================================================
@@ -468,18 +1299,23 @@ document.addEventListener('DOMContentLoaded', () => {
      * Handles the "Export PNG" button click.
      */
     function handleExportPNG() {
-        // Create a temporary canvas to draw a background
+        // Create a temporary canvas with the track on top and the head movement chart below
         const tempCanvas = document.createElement('canvas');
         tempCanvas.width = window.canvas.width;
-        tempCanvas.height = window.canvas.height;
+        const raceHeight = window.raceMode ? window.raceCanvas.height : 0;
+        tempCanvas.height = window.canvas.height + raceHeight + window.pathCanvas.height;
         const tempCtx = tempCanvas.getContext('2d');
         
         // Set background color based on theme
         tempCtx.fillStyle = isDarkMode() ? '#0f172a' : '#f0f3f8';
         tempCtx.fillRect(0, 0, tempCanvas.width, tempCanvas.height);
         
-        // Draw the current canvas on top
+        // Draw the current canvases on top
         tempCtx.drawImage(window.canvas, 0, 0);
+        if (window.raceMode) {
+            tempCtx.drawImage(window.raceCanvas, 0, window.canvas.height);
+        }
+        tempCtx.drawImage(window.pathCanvas, 0, window.canvas.height + raceHeight);
 
         // Trigger download
         const dataUrl = tempCanvas.toDataURL('image/png');
@@ -493,43 +1329,65 @@ document.addEventListener('DOMContentLoaded', () => {
      * Handles the "Export TXT" button click.
      */
     function handleExportTXT() {
-        if (window.history.length <= 1) {
+        if (window.simHistory.length <= 1) {
             showError('Please run a simulation before exporting.');
             return;
         }
         
         const inputs = parseInputs(false);
-        const finalState = window.history[window.history.length - 1];
+        const finalState = window.simHistory[window.simHistory.length - 1];
         
-        let trace = `--- DiskMotion Scheduling Trace (${window.algorithmSelect.value.toUpperCase()}) ---\n\n`;
+        let trace = `--- DiskMotion Scheduling Trace (${getAlgorithm(window.algorithmSelect.value).name}) ---\n`;
+        trace += `--- Disk Geometry: cylinders ${inputs.geometry.min}-${inputs.geometry.max} (${inputs.geometry.max - inputs.geometry.min + 1} cylinders) ---\n\n`;
         trace += "1. INPUTS\n";
-        let reqDisplay = (window.algorithmSelect.value === 'fcfs') ? reqInput.value : [...window.originalRequestSet].join(', ');
+        const algo = getAlgorithm(window.algorithmSelect.value);
+        let reqDisplay = algo.servesDuplicates ? reqInput.value : [...window.originalRequestSet].join(', ');
         trace += `   Request Sequence: ${reqDisplay}\n`;
+        const generator = currentGenerator();
+        if (generator) {
+            trace += `   Generator: ${describeGenerator(generator)}, seed ${generator.seed}\n`;
+        }
         trace += `   Initial Head: ${inputs.startHead}\n`;
-        if (['scan', 'c-scan', 'look', 'c-look'].includes(window.algorithmSelect.value)) {
+        if (algo.usesDirection) {
             trace += `   Direction: ${inputs.direction}\n`;
         }
+        for (const setting of describeSettings(algo.id, inputs.options)) {
+            trace += `   ${setting.label}: ${setting.text}\n`;
+        }
+        if (inputs.options.drive) {
+            const d = inputs.options.drive;
+            trace += `   Drive Model: ${d.rpm} RPM, ${d.sectorsPerTrack} sectors/track, ${d.transferSectors} sectors/transfer, settle ${d.settleMs} ms, accel ${d.accelMs} ms, coast after ${d.coastAfter} cyl at ${d.coastMsPerCylinder} ms/cyl\n`;
+        }
+        if (isTimedWorkload(inputs.timedRequests)) {
+            trace += `   Arrival Times: ${inputs.timedRequests.map(r => `${r.cylinder}${r.sector !== undefined ? `:${r.sector}` : ''}@${r.arrival}${r.deadline !== undefined ? `!${r.deadline}` : ''}`).join(', ')}\n`;
+        }
         trace += "\n";
         
         trace += "2. RESULTS\n";
         trace += `   Served Sequence: ${finalState.servedOrder.join(' -> ')}\n`;
         trace += `   Total Seek Time: ${finalState.seek}\n`;
         trace += `   Total Requests: ${window.originalRequestSet.size}\n`;
-        trace += `   Average Seek Time: ${(finalState.seek / window.originalRequestSet.size).toFixed(2)}\n\n`;
+        trace += `   Average Seek Time: ${(finalState.seek / window.originalRequestSet.size).toFixed(2)}\n`;
+        if (finalState.ms !== null) {
+            trace += `   Total Service Time: ${finalState.ms.toFixed(2)} ms\n`;
+            trace += `   Average Service Time: ${(finalState.ms / window.originalRequestSet.size).toFixed(2)} ms\n`;
+        }
+        trace += `   Finish Time: ${formatTime(finalState.time)}${finalState.ms !== null ? ' ms' : ''}\n`;
+        if (window.deadlineReport.length > 0) {
+            const missed = window.deadlineReport.filter(r => r.missed).length;
+            trace += `   Missed Deadlines: ${missed} of ${window.deadlineReport.length}\n\n`;
+            trace += "   Request | Arrival | Deadline | Served At | Lateness\n";
+            for (const r of window.deadlineReport) {
+                trace += `   ${r.cylinder.toString().padEnd(7)} | ${r.arrival.toString().padEnd(7)} | ${r.deadline.toString().padEnd(8)} | ${formatTime(r.finish).padEnd(9)} | ${formatTime(r.lateness)}${r.missed ? ' (missed)' : ''}\n`;
+            }
+        }
+        trace += "\n";
         
         trace += "3. STEP-BY-STEP TRACE (Full Head Path)\n";
-        let fullPath = window.history.map(s => s.head);
+        let fullPath = window.simHistory.map(s => s.head);
         trace += `   Full Path: ${fullPath.join(' -> ')}\n\n`;
         
-        trace += "Step | Move To | Seek | Total Seek | Served Requests\n";
-        trace += "-------------------------------------------------------\n";
-        
-        for (let i = 0; i < window.history.length; i++) {
-            const state = window.history[i];
-            const lastHead = (i === 0) ? state.head : window.history[i-1].head;
-            const seek = (i === 0) ? 0 : Math.abs(state.head - lastHead);
-            trace += `${i.toString().padEnd(4)} | ${state.head.toString().padEnd(7)} | ${seek.toString().padEnd(4)} | ${state.seek.toString().padEnd(10)} | ${[...state.served].sort((a,b)=>a-b).join(', ')}\n`;
-        }
+        trace += formatStepTable(window.simHistory);
 
         // Trigger download
         const blob = new Blob([trace], { type: 'text/plain' });
@@ -541,6 +1399,234 @@ document.addEventListener('DOMContentLoaded', () => {
         URL.revokeObjectURL(url);
     }
 
+    /**
+     * Handles the "Export JSON" button click. The session holds the inputs and
+     * the full step history, and can be reopened with "Import JSON Session".
+     */
+    function handleExportJSON() {
+        if (window.simHistory.length <= 1) {
+            showError('Please run a simulation before exporting.');
+            return;
+        }
+
+        const inputs = parseInputs(false);
+        const session = createSession({
+            algorithm: window.algorithmSelect.value,
+            requests: inputs.timedRequests,
+            startHead: inputs.startHead,
+            direction: inputs.direction,
+            geometry: inputs.geometry,
+            options: inputs.options,
+            history: window.simHistory,
+            step: clampStep(window.simHistory),
+            generator: currentGenerator()
+        });
+
+        // Trigger download
+        const blob = new Blob([JSON.stringify(session, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.download = `diskmotion_${window.algorithmSelect.value}_session.json`;
+        link.href = url;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Handles a session file being chosen for "Import JSON Session".
+     */
+    function handleSessionFile() {
+        const file = sessionFileInput.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => restoreSession(reader.result);
+        reader.onerror = () => showError(`Could not read ${file.name}.`);
+        reader.readAsText(file);
+
+        // Let the same file be chosen again
+        sessionFileInput.value = '';
+    }
+
+    /**
+     * Restores a saved session: fills in the inputs, rebuilds the simulation
+     * and jumps the timeline to the saved step.
+     * @param {string} text - The session file contents.
+     */
+    function restoreSession(text) {
+        if (window.isPlaying) return;
+        handleReset(); // Clear any existing simulation
+
+        let session;
+        try {
+            session = parseSession(text);
+        } catch (err) {
+            showError(err.message);
+            return;
+        }
+        if (!getAlgorithm(session.algorithm)) {
+            showError(`This session uses the algorithm "${session.algorithm}", which is not loaded.`);
+            return;
+        }
+
+        // Inputs
+        diskMinInput.value = session.geometry.min;
+        diskMaxInput.value = session.geometry.max;
+        window.algorithmSelect.value = session.algorithm;
+        nStepInput.value = session.options.nStepSize;
+        agingInput.value = (session.options.agingFactor !== undefined) ? session.options.agingFactor : agingInput.defaultValue;
+        reqInput.value = formatRequestList(session.requests);
+        headInput.value = session.startHead;
+        dirSelect.value = session.direction;
+        setDriveInputs(session.options.drive);
+        updateAlgoDescription();
+        if (!readGeometry()) return;
+        updateGeometryLabels();
+        if (session.generator) {
+            generatedWorkload = { ...session.generator, requests: reqInput.value };
+            randomDistributionSelect.value = session.generator.distribution;
+            randomDuplicatesCheckbox.checked = session.generator.duplicates;
+            seedInfo.textContent = `Seed ${session.generator.seed}: ${describeGenerator(session.generator)} requests, from the imported session.`;
+        }
+
+        // Rebuild the run
+        const inputs = parseInputs();
+        if (!inputs) return;
+        if (!userRunsReady(simulatedAlgorithms(session.algorithm), inputs, () => restoreSession(text))) return;
+        if (!calculateSimulationHistory(session.algorithm, inputs.requests, inputs.startHead, inputs.direction, inputs.timedRequests, inputs.options)) return;
+        timelineScrubber.max = lastStepIndex();
+
+        // The run is rebuilt rather than trusted, so an edited or outdated file can't show a wrong path
+        const savedPath = session.history.map(step => step.head).join();
+        if (savedPath !== window.simHistory.map(step => step.head).join()) {
+            showError(`The saved head path does not match what ${getAlgorithm(session.algorithm).name} does with these inputs. Showing the rebuilt run.`);
+        }
+
+        window.currentStateIndex = Math.min(session.step, lastStepIndex());
+        draw();
+        updateUI();
+    }
+
+    /**
+     * Handles the "Copy Link" button click. The scenario (and the step on screen,
+     * if a run is shown) goes into the URL hash as a new browser history entry,
+     * so back/forward moves between the links shared so far.
+     */
+    function handleCopyLink() {
+        clearError();
+        const inputs = parseInputs();
+        if (!inputs) return;
+
+        const algorithm = window.algorithmSelect.value;
+        const isDefaultGeometry = (inputs.geometry.min === DEFAULT_GEOMETRY.min && inputs.geometry.max === DEFAULT_GEOMETRY.max);
+        const hash = encodePermalink({
+            algorithm,
+            requests: formatRequestList(inputs.timedRequests),
+            startHead: inputs.startHead,
+            direction: inputs.direction,
+            geometry: isDefaultGeometry ? undefined : inputs.geometry,
+            // The algorithm's settings, under their option keys (nStepSize, agingFactor)
+            ...Object.fromEntries(describeSettings(algorithm, inputs.options).map(setting => [setting.key, setting.value])),
+            drive: inputs.options.drive || undefined,
+            step: (window.simHistory.length > 1) ? window.currentStateIndex : undefined
+        });
+        if (location.hash !== `#${hash}`) {
+            history.pushState(null, '', `#${hash}`);
+        }
+
+        if (!navigator.clipboard) {
+            showError('Your browser blocked the clipboard. Copy the link from the address bar instead.');
+            return;
+        }
+        navigator.clipboard.writeText(location.href).then(() => {
+            btnCopyLink.textContent = 'Link Copied!';
+            setTimeout(() => btnCopyLink.textContent = 'Copy Link', 1500);
+        }, () => showError('Your browser blocked the clipboard. Copy the link from the address bar instead.'));
+    }
+
+    /**
+     * Restores the scenario in a URL hash (see handleCopyLink). An empty or
+     * malformed hash brings back the default inputs.
+     * @param {string} hash - The URL hash.
+     */
+    function applyPermalink(hash) {
+        handleReset(); // Clear any existing simulation
+
+        const link = decodePermalink(hash);
+        if (!link || !getAlgorithm(link.algorithm)) {
+            restoreDefaultInputs();
+            if (hash !== '' && hash !== '#') showError('This link could not be read. Showing the default scenario.');
+            return;
+        }
+
+        const geometry = link.geometry || DEFAULT_GEOMETRY;
+        diskMinInput.value = geometry.min;
+        diskMaxInput.value = geometry.max;
+        window.algorithmSelect.value = link.algorithm;
+        nStepInput.value = (link.nStepSize !== undefined) ? link.nStepSize : nStepInput.defaultValue;
+        agingInput.value = (link.agingFactor !== undefined) ? link.agingFactor : agingInput.defaultValue;
+        // A link without drive settings was shared with the drive model off
+        setDriveInputs(link.drive || null);
+        reqInput.value = link.requests.split(',').join(', ');
+        headInput.value = link.startHead;
+        dirSelect.value = link.direction;
+
+        const inputs = parseInputs(false);
+        if (!inputs) {
+            restoreDefaultInputs();
+            showError('This link could not be read. Showing the default scenario.');
+            return;
+        }
+        updateAlgoDescription();
+        updateGeometryLabels();
+
+        // Rebuild the run and jump to the shared step
+        if (link.step !== undefined) {
+            if (!userRunsReady(simulatedAlgorithms(link.algorithm), inputs, () => applyPermalink(hash))) return;
+            if (!calculateSimulationHistory(link.algorithm, inputs.requests, inputs.startHead, inputs.direction, inputs.timedRequests, inputs.options)) return;
+            timelineScrubber.max = lastStepIndex();
+            window.currentStateIndex = Math.min(link.step, lastStepIndex());
+        }
+        draw();
+        updateUI();
+    }
+
+    /**
+     * Puts the inputs a permalink sets back to their defaults from index.html.
+     */
+    function restoreDefaultInputs() {
+        for (const input of [diskMinInput, diskMaxInput, nStepInput, agingInput, reqInput, headInput]) {
+            input.value = input.defaultValue;
+        }
+        for (const select of [window.algorithmSelect, dirSelect]) {
+            for (const option of select.options) option.selected = option.defaultSelected;
+        }
+        setDriveInputs(null);
+        readGeometry(false);
+        updateAlgoDescription();
+        updateGeometryLabels();
+        draw();
+    }
+
+    // Compare All columns. `help` explains the metric in the legend and the header tooltip;
+    // `shown` hides columns that don't apply to the current inputs.
+    const COMPARE_COLUMNS = [
+        { key: 'name', label: 'Algorithm', help: 'The scheduling algorithm.' },
+        { key: 'seek', label: 'Total Seek', help: 'Cylinders the head travels in total. Lower is more efficient.' },
+        { key: 'aboveOptimal', label: 'Above Optimal', help: 'How much farther the head travels than the optimal schedule, the reference row. Only shown when every request is waiting from the start, since the optimum needs to know the whole queue.',
+          shown: c => c.optimalSeek !== null, format: v => Number.isFinite(v) ? `${v.toFixed(1)}%` : '∞' },
+        { key: 'ms', label: 'Service Time (ms)', help: 'Time the drive is busy under the drive timing model.', shown: c => c.timed,
+          format: v => v.toFixed(2) },
+        { key: 'meanResponse', label: 'Mean Response', help: 'Average time from a request\'s arrival until it is served.', format: v => v.toFixed(2) },
+        { key: 'maxResponse', label: 'Max Response', help: 'The longest any request waits. High values mean a request is starved.', format: formatTime },
+        { key: 'responseVariance', label: 'Response Variance', help: 'How unevenly the requests wait. Lower is fairer.', format: v => v.toFixed(2) },
+        { key: 'reversals', label: 'Reversals', help: 'Times the head changes direction.' },
+        { key: 'idleDistance', label: 'Non-serving Distance', help: 'Cylinders travelled without serving a request, such as sweeping to the disk end or C-SCAN\'s return sweep.' },
+        { key: 'missed', label: 'Missed Deadlines', help: 'Requests served after their deadline.', shown: c => c.hasDeadlines },
+        { key: 'check', label: 'Check', help: 'Whether the animated path, the comparison and the textbook formula agree.', shown: c => c.checking,
+          sortable: false, format: formatConsistency }
+    ];
+
     /**
      * Handles the "Compare All" button click.
      */
@@ -548,45 +1634,588 @@ document.addEventListener('DOMContentLoaded', () => {
         clearError();
         const inputs = parseInputs();
         if (!inputs) return;
+        if (!userRunsReady(listAlgorithms().map(algo => algo.id), inputs, handleCompareAll)) return;
         
-        const algos = ['fcfs', 'sstf', 'scan', 'c-scan', 'look', 'c-look'];
+        const hasDeadlines = inputs.timedRequests.some(r => r.deadline !== undefined);
+        const checking = consistencyCheck.checked;
+        const timed = Boolean(inputs.options.drive);
+        // The optimal schedule is only a true optimum when the whole queue is known up front
+        const optimalSeek = isTimedWorkload(inputs.timedRequests)
+            ? null
+            : getOptimalSchedule(inputs.timedRequests.map(r => r.cylinder), inputs.startHead).totalSeek;
         let results = [];
 
-        for (const algo of algos) {
-            // We must pass the *original* un-sorted, un-deduped list
-            // to the stats function, as it handles FCFS vs. others.
-            const rawRequests = reqInput.value.split(',')
-                .map(s => parseInt(s.trim()))
-                .filter(n => !isNaN(n) && n >= 0 && n <= window.DISK_MAX);
+        try {
+            for (const { id: algo } of listAlgorithms()) {
+                // We must pass the *original* un-sorted, un-deduped list
+                // to the stats function, as it handles FCFS vs. others.
+                const rawRequests = inputs.timedRequests.map(r => r.cylinder);
 
-            // Get stats from algorithms.js
-            const seek = getAlgorithmStats(algo, rawRequests, inputs.startHead, inputs.direction);
-            results.push({ name: algo.toUpperCase(), seek: seek });
+                // Get stats from algorithms.js
+                const seek = getAlgorithmStats(algo, rawRequests, inputs.startHead, inputs.direction, inputs.timedRequests, inputs.options);
+                const ms = timed ? getServiceTimeStats(algo, inputs.timedRequests, inputs.startHead, inputs.direction, inputs.options).totalMs : null;
+                const fairness = getFairnessStats(algo, inputs.timedRequests, inputs.startHead, inputs.direction, inputs.options);
+                const missed = hasDeadlines ? getDeadlineStats(algo, inputs.timedRequests, inputs.startHead, inputs.direction, inputs.options).missed : null;
+                const check = checking ? checkSeekConsistency(algo, rawRequests, inputs.startHead, inputs.direction, inputs.timedRequests, inputs.options) : null;
+                // Percent above the optimum; if the head need not move at all, any seek is infinitely more
+                let aboveOptimal = null;
+                if (optimalSeek !== null) {
+                    aboveOptimal = (optimalSeek === 0) ? (seek === 0 ? 0 : Infinity) : (seek - optimalSeek) / optimalSeek * 100;
+                }
+                results.push({ name: getAlgorithm(algo).name, seek: seek, aboveOptimal: aboveOptimal, ms: ms, ...fairness, missed: missed, check: check,
+                    reference: algo === 'optimal' });
+            }
+        } catch (err) {
+            // A registered algorithm's path generator misbehaved
+            showError(err.message);
+            return;
         }
 
-        // Sort by seek time
-        results.sort((a, b) => a.seek - b.seek);
+        lastComparison = { results, hasDeadlines, checking, timed, optimalSeek };
         
         // Populate and show modal
         compareModalInputs.innerHTML = `
+            <strong>Disk:</strong> ${inputs.geometry.min}-${inputs.geometry.max} | 
             <strong>Head:</strong> ${inputs.startHead} | 
             <strong>Direction:</strong> ${inputs.direction} | 
             <strong>Requests:</strong> ${inputs.requests.length}
         `;
+        if (checking) {
+            const mismatches = results.filter(res => !res.check.consistent).length;
+            compareModalInputs.innerHTML += (mismatches === 0)
+                ? '<br>Consistency check: every total agrees.'
+                : `<br>Consistency check: <strong>${mismatches} algorithm(s) disagree</strong> for this input.`;
+        }
+
+        // Service time is only there with the drive model on
+        if (compareSort.key === 'ms' && !timed) compareSort = { key: 'seek', ascending: true };
+        // ...and Above Optimal only without arrival times
+        if (compareSort.key === 'aboveOptimal' && optimalSeek === null) compareSort = { key: 'seek', ascending: true };
         
+        renderComparison();
+        compareModal.classList.remove('hidden');
+    }
+
+    /**
+     * Handles a click on a Compare All column header: sorts by that column,
+     * or flips the order if it is already the sorted column.
+     * @param {MouseEvent} e - The click event.
+     */
+    function handleCompareSort(e) {
+        const header = e.target.closest('th[data-key]');
+        if (!header) return;
+        const key = header.dataset.key;
+        compareSort = (compareSort.key === key)
+            ? { key, ascending: !compareSort.ascending }
+            : { key, ascending: true };
+        renderComparison();
+    }
+
+    /**
+     * Fills the Compare All table and legend from the last comparison, sorted
+     * by the chosen column. The rows with the best (lowest) value in that column
+     * are highlighted; when sorting by name, the best total seek is. The optimal
+     * schedule is the reference the others are measured against, so it is marked
+     * as the baseline rather than competing for best.
+     */
+    function renderComparison() {
+        if (!lastComparison) return;
+        const { results } = lastComparison;
+        const columns = COMPARE_COLUMNS.filter(col => !col.shown || col.shown(lastComparison));
+        const { key, ascending } = compareSort;
+
+        const ranked = [...results].sort((a, b) => {
+            const order = (key === 'name') ? a.name.localeCompare(b.name) : a[key] - b[key];
+            return ascending ? order : -order;
+        });
+        const metric = (key === 'name') ? 'seek' : key;
+        const best = Math.min(...results.filter(res => !res.reference).map(res => res[metric]));
+
+        compareHeaderRow.innerHTML = columns.map(col => {
+            const sortable = (col.sortable !== false);
+            const arrow = (col.key === key) ? (ascending ? ' ▲' : ' ▼') : '';
+            return `<th ${sortable ? `data-key="${col.key}"` : ''} title="${col.help}" class="p-2 text-gray-700 dark:text-gray-200 ${sortable ? 'cursor-pointer select-none hover:underline' : ''}">${col.label}${arrow}</th>`;
+        }).join('');
+
         compareModalTableBody.innerHTML = ''; // Clear old results
-        results.forEach((res, index) => {
-            const isBest = (index === 0);
-            const row = `
-                <tr class="${isBest ? 'bg-green-100 dark:bg-green-800' : ''}">
-                    <td class="p-2 ${isBest ? 'font-bold' : ''} text-gray-800 dark:text-gray-100">${res.name} ${isBest ? '🏆' : ''}</td>
-                    <td class="p-2 ${isBest ? 'font-bold' : ''} text-gray-800 dark:text-gray-100">${res.seek}</td>
-                </tr>
-            `;
-            compareModalTableBody.innerHTML += row;
+        ranked.forEach(res => {
+            const isBest = !res.reference && (res[metric] === best);
+            const cells = columns.map(col => {
+                let value = col.format ? col.format(res[col.key]) : res[col.key];
+                if (col.key === 'name' && isBest) value += ' 🏆';
+                if (col.key === 'name' && res.reference) value += ' — baseline';
+                return `<td class="p-2 ${isBest && col.key !== 'check' ? 'font-bold' : ''} ${res.reference ? 'italic' : ''} text-gray-800 dark:text-gray-100">${value}</td>`;
+            });
+            const rowClass = isBest ? 'bg-green-100 dark:bg-green-800' : (res.reference ? 'bg-gray-100 dark:bg-gray-700' : '');
+            compareModalTableBody.innerHTML += `<tr class="${rowClass}">${cells.join('')}</tr>`;
         });
-        
-        compareModal.classList.remove('hidden');
+
+        compareLegend.innerHTML = columns
+            .filter(col => col.key !== 'name')
+            .map(col => `<div><dt class="inline font-semibold">${col.label}:</dt> <dd class="inline">${col.help}</dd></div>`)
+            .join('');
+    }
+
+    /**
+     * Formats one row of the consistency check for the Compare All table.
+     * @param {{animated: number, compared: number, textbook: number|null, consistent: boolean}} check - From checkSeekConsistency.
+     * @returns {string} A tick, or the totals that disagree.
+     */
+    function formatConsistency(check) {
+        if (check.consistent) return '✓';
+        let text = `⚠ path ${check.animated}`;
+        if (check.compared !== check.animated) text += `, compare ${check.compared}`;
+        if (check.textbook !== null && check.textbook !== check.animated) text += `, formula ${check.textbook}`;
+        return text;
+    }
+
+    // ===================================================================
+    // MONTE CARLO BENCHMARK
+    // ===================================================================
+
+    /**
+     * Handles the benchmark's "Run" button: runs every algorithm over random
+     * queues, in chunks with a progress bar, then shows the summary table and box plot.
+     */
+    function handleRunBenchmark() {
+        benchError.classList.add('hidden');
+
+        const trials = parseInt(benchTrialsInput.value, 10);
+        if (isNaN(trials) || trials < 1 || trials > 1000) {
+            showBenchError('Please enter between 1 and 1000 trials.');
+            return;
+        }
+        const count = parseInt(benchCountInput.value, 10);
+        if (isNaN(count) || count < 1 || count > 100) {
+            showBenchError('Please enter a queue length between 1 and 100.');
+            return;
+        }
+        const geometry = readGeometry(false);
+        if (!geometry) {
+            showBenchError('The disk geometry is invalid. Please fix it on the main page first.');
+            return;
+        }
+        const nStepSize = parseInt(nStepInput.value, 10);
+        if (isNaN(nStepSize) || nStepSize < 1) {
+            showBenchError('Invalid sub-queue size. N must be 1 or greater.');
+            return;
+        }
+        const agingFactor = parseFloat(agingInput.value);
+        if (isNaN(agingFactor) || agingFactor < 0) {
+            showBenchError('Invalid aging factor. Must be 0 or greater.');
+            return;
+        }
+
+        const seed = readSeed(false);
+        if (seed === null) {
+            showBenchError(`Invalid seed. Must be a whole number from 0 to ${MAX_SEED}.`);
+            return;
+        }
+        const generator = { seed, distribution: randomDistributionSelect.value, duplicates: randomDuplicatesCheckbox.checked };
+
+        const config = {
+            trials,
+            count,
+            geometry,
+            distribution: generator.distribution,
+            duplicates: generator.duplicates,
+            headPolicy: benchHeadPolicySelect.value,
+            fixedHead: parseInt(headInput.value, 10),
+            options: { nStepSize, agingFactor },
+            seed
+        };
+        let workloads;
+        try {
+            workloads = createBenchmarkWorkloads(config); // from bench.js
+        } catch (err) {
+            showBenchError(err.message);
+            return;
+        }
+
+        // Running in chunks keeps the page responsive; the settings stay put until it is done
+        btnRunBenchmark.disabled = true;
+        btnExportBenchCSV.disabled = true;
+        benchProgress.value = 0;
+        benchProgress.classList.remove('hidden');
+        benchInfo.textContent = `Running trial 1 of ${trials}...`;
+
+        const runTrials = () => {
+            stopBenchmark = runBenchmarkInChunks({ ...config, workloads }, {
+                onProgress: (done, total) => {
+                    benchProgress.value = done / total;
+                    benchInfo.textContent = `Running trial ${done + 1} of ${total}...`;
+                },
+                onDone: (benchmark) => {
+                    finishBenchmark();
+                    lastBenchmark = { benchmark, summary: summarizeBenchmark(benchmark) };
+                    btnExportBenchCSV.disabled = false;
+                    benchInfo.innerHTML = `
+                        <strong>Disk:</strong> ${geometry.min}-${geometry.max} | 
+                        <strong>Trials:</strong> ${trials} | 
+                        <strong>Queue Length:</strong> ${count} | 
+                        <strong>Start Head:</strong> ${benchHeadPolicySelect.selectedOptions[0].textContent} | 
+                        <strong>Distribution:</strong> ${describeGenerator(generator)} | 
+                        <strong>Seed:</strong> ${seed}
+                    `;
+                    renderBenchmark();
+                },
+                onError: (err) => {
+                    // A registered algorithm's path generator misbehaved
+                    finishBenchmark();
+                    showBenchError(err.message);
+                }
+            });
+        };
+
+        // User algorithms run on the same queues in their sandbox first (see custom.js)
+        const jobs = workloads.map(workload => ({ ...workload, geometry, options: config.options }));
+        let sandboxDone = false;
+        const stopSandbox = prepareUserAlgorithms(listAlgorithms().map(algo => algo.id), jobs, (err) => {
+            sandboxDone = true;
+            if (err) {
+                finishBenchmark();
+                showBenchError(err.message);
+            } else {
+                runTrials();
+            }
+        });
+        if (!sandboxDone) {
+            stopBenchmark = stopSandbox;
+            benchInfo.textContent = 'Running your own algorithms in their sandbox...';
+        }
+    }
+
+    /**
+     * Stops the running benchmark, if any, and lets a new one be started.
+     */
+    function finishBenchmark() {
+        if (stopBenchmark) stopBenchmark();
+        stopBenchmark = null;
+        // The picks of user algorithms on every queue add up; they are run again when needed
+        forgetUserRuns(); // from custom.js
+        btnRunBenchmark.disabled = false;
+        btnExportBenchCSV.disabled = !lastBenchmark;
+        benchProgress.classList.add('hidden');
+    }
+
+    /**
+     * Shows an error inside the benchmark modal, which covers the main error box.
+     * @param {string} message - The error message to display.
+     */
+    function showBenchError(message) {
+        benchError.textContent = message;
+        benchError.classList.remove('hidden');
+    }
+
+    /**
+     * Fills the benchmark table from the last run and draws its box plot.
+     * The algorithm with the lowest mean seek is highlighted.
+     */
+    function renderBenchmark() {
+        const { summary } = lastBenchmark;
+        // The optimal schedule is the baseline, not a competitor
+        const isReference = (row) => row.id === 'optimal';
+        const best = Math.min(...summary.filter(row => !isReference(row)).map(row => row.mean));
+
+        benchTableBody.innerHTML = summary.map(row => {
+            const reference = isReference(row);
+            const isBest = !reference && (row.mean === best);
+            const cells = [
+                `${getAlgorithm(row.id).name}${isBest ? ' 🏆' : ''}${reference ? ' — baseline' : ''}`,
+                row.mean.toFixed(2),
+                formatTime(row.median),
+                formatTime(row.p95),
+                row.std.toFixed(2),
+                row.min,
+                row.max
+            ];
+            const rowClass = isBest ? 'bg-green-100 dark:bg-green-800' : (reference ? 'bg-gray-100 dark:bg-gray-700' : '');
+            return `<tr class="${rowClass}">${cells.map(value => `<td class="p-2 ${isBest ? 'font-bold' : ''} ${reference ? 'italic' : ''} text-gray-800 dark:text-gray-100">${value}</td>`).join('')}</tr>`;
+        }).join('');
+
+        drawBoxPlot(summary); // from animation.js
+    }
+
+    /**
+     * Handles the benchmark's "Export CSV" button: downloads the seek total
+     * of every algorithm in every trial, with the trial's workload.
+     */
+    function handleExportBenchmarkCSV() {
+        if (!lastBenchmark) return;
+
+        // Trigger download
+        const blob = new Blob([benchmarkToCsv(lastBenchmark.benchmark)], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.download = 'diskmotion_benchmark.csv';
+        link.href = url;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    // ===================================================================
+    // GRADING MODE
+    // ===================================================================
+
+    /**
+     * Shows which run an answer is checked against: the selected algorithm
+     * and the inputs on the main page.
+     */
+    function updateGradeInfo() {
+        const inputs = parseInputs(false);
+        if (!inputs) {
+            gradeInfo.textContent = 'The inputs on the main page are invalid. Please fix them first.';
+            return;
+        }
+        const algo = getAlgorithm(window.algorithmSelect.value);
+        gradeInfo.innerHTML = `
+            <strong>Algorithm:</strong> ${algo.name} | 
+            <strong>Start Head:</strong> ${inputs.startHead} | 
+            ${algo.usesDirection ? `<strong>Direction:</strong> ${inputs.direction} | ` : ''}
+            <strong>Requests:</strong> [${inputs.timedRequests.map(r => r.cylinder).join(', ')}]
+        `;
+    }
+
+    /**
+     * Handles the grading modal's "Check" button: rebuilds the run from the
+     * inputs on the main page and grades the student's answer against it.
+     */
+    function handleCheckAnswer() {
+        gradeError.classList.add('hidden');
+        gradeResult.innerHTML = '';
+
+        let answer;
+        try {
+            answer = {
+                servedOrder: parseAnswerSequence(gradeSequenceInput.value), // from grade.js
+                totalSeek: parseAnswerTotal(gradeTotalInput.value)
+            };
+        } catch (err) {
+            showGradeError(err.message);
+            return;
+        }
+        if (answer.servedOrder.length === 0) {
+            showGradeError('Please enter the served sequence.');
+            return;
+        }
+
+        const inputs = parseInputs(false);
+        if (!inputs) {
+            showGradeError('The inputs on the main page are invalid. Please fix them first.');
+            return;
+        }
+        updateGradeInfo();
+        const algorithm = window.algorithmSelect.value;
+        if (!userRunsReady([algorithm], inputs, handleCheckAnswer, showGradeError)) return;
+
+        // Grade against a separate run of the inputs on screen, leaving the
+        // simulation the user is stepping through untouched
+        let steps;
+        try {
+            steps = simulate(algorithm, inputs.timedRequests, inputs.startHead, inputs.direction, inputs.geometry, inputs.options).steps;
+        } catch (err) {
+            showGradeError(err.message);
+            return;
+        }
+
+        const verdict = gradeAnswer(steps, answer, {
+            geometry: inputs.geometry,
+            algorithm,
+            eitherReturnSweep: gradeEitherReturnSweepCheckbox.checked
+        });
+        renderGrade(verdict, answer, getAlgorithm(algorithm).name);
+    }
+
+    /**
+     * Shows an error inside the grading modal, which covers the main error box.
+     * @param {string} message - The error message to display.
+     */
+    function showGradeError(message) {
+        gradeError.textContent = message;
+        gradeError.classList.remove('hidden');
+    }
+
+    /**
+     * Explains a verdict: where the served sequence first goes wrong, with
+     * the seek arithmetic at that point, and whether the total is right.
+     * @param {object} verdict - From gradeAnswer.
+     * @param {{servedOrder: number[], totalSeek: number}} answer - The student's answer.
+     * @param {string} name - The algorithm's display name.
+     */
+    function renderGrade(verdict, answer, name) {
+        const lines = [];
+        lines.push(verdict.correct
+            ? `<p class="font-bold text-green-700 dark:text-green-400">✓ Correct! Both the served sequence and the total seek match ${name}.</p>`
+            : '<p class="font-bold text-red-700 dark:text-red-400">✗ Not quite.</p>');
+
+        const d = verdict.divergence;
+        if (d) {
+            const where = `<strong>Service #${d.position}:</strong> the head is at ${d.from} after a seek of ${d.seekBefore}.`;
+            const expected = (d.expected === null)
+                ? 'Every request has already been served.'
+                : `${name} serves ${d.expected} next: ${formatSeekArithmetic(d.path)}, for a running total of ${d.seekAfter}.`;
+            const actual = (d.actual === null)
+                ? `Your sequence stops after ${d.position - 1} of ${verdict.expectedOrder.length} requests.`
+                : `You wrote ${d.actual}: ${formatSeekArithmetic([d.from, d.actual])}.`;
+            lines.push(`<p>${where} ${expected} ${actual}</p>`);
+        } else if (!verdict.correct) {
+            lines.push('<p>Your served sequence is right.</p>');
+        }
+
+        const [counted, uncounted] = verdict.acceptedTotals;
+        if (verdict.totalCorrect) {
+            const convention = (uncounted !== undefined && answer.totalSeek === uncounted) ? ' (without the return sweep)' : '';
+            lines.push(`<p>Your total seek of ${answer.totalSeek} is right${convention}.</p>`);
+        } else {
+            const alternative = (uncounted !== undefined) ? `, or ${uncounted} without the return sweep` : '';
+            lines.push(`<p>Your total seek is ${answer.totalSeek}, but ${name} seeks ${counted}${alternative}.</p>`);
+            // With the right sequence, the slip is in the arithmetic: show all of it
+            if (!d && verdict.moves.length > 0) {
+                const path = [verdict.moves[0].from, ...verdict.moves.map(move => move.to)];
+                lines.push(`<p class="font-mono text-xs break-words">${formatSeekArithmetic(path)}</p>`);
+            }
+        }
+
+        gradeResult.innerHTML = lines.join('');
+    }
+
+    // ===================================================================
+    // CUSTOM ALGORITHMS
+    // ===================================================================
+
+    /**
+     * Registers the user algorithms saved in this browser. Ones that no
+     * longer compile are left out with an error, but stay saved.
+     */
+    function loadCustomAlgorithms() {
+        try {
+            customAlgorithms = JSON.parse(localStorage.getItem(CUSTOM_STORAGE_KEY) || '[]');
+        } catch (err) {
+            customAlgorithms = [];
+        }
+        for (const algo of customAlgorithms) {
+            try {
+                registerUserAlgorithm(algo); // from custom.js
+            } catch (err) {
+                showError(`Your algorithm "${algo.name}" could not be loaded. ${err.message}`);
+            }
+        }
+        updateCustomSavedSelect('');
+    }
+
+    /**
+     * Writes the user algorithms to localStorage.
+     */
+    function storeCustomAlgorithms() {
+        localStorage.setItem(CUSTOM_STORAGE_KEY, JSON.stringify(customAlgorithms));
+    }
+
+    /**
+     * Fills the editor's list of saved algorithms.
+     * @param {string} selected - The id of the algorithm being edited, or '' for a new one.
+     */
+    function updateCustomSavedSelect(selected) {
+        customSavedSelect.innerHTML = '<option value="">New algorithm</option>';
+        for (const algo of customAlgorithms) {
+            const option = document.createElement('option');
+            option.value = algo.id;
+            option.textContent = algo.name;
+            customSavedSelect.appendChild(option);
+        }
+        customSavedSelect.value = selected;
+        btnDeleteCustom.disabled = (selected === '');
+    }
+
+    /**
+     * Handles a change to the editor's list: loads the chosen algorithm, or
+     * the example for a new one.
+     */
+    function handleCustomSelect() {
+        customError.classList.add('hidden');
+        const algo = customAlgorithms.find(a => a.id === customSavedSelect.value);
+        customNameInput.value = algo ? algo.name : customNameInput.defaultValue;
+        customSourceInput.value = algo ? algo.source : customSourceInput.defaultValue;
+        btnDeleteCustom.disabled = !algo;
+    }
+
+    /**
+     * Handles the editor's "Save & Select" button: compiles the algorithm,
+     * tries it on the current inputs in its sandbox, saves it and selects it.
+     */
+    function handleSaveCustom() {
+        customError.classList.add('hidden');
+        const name = customNameInput.value.trim();
+        const source = customSourceInput.value;
+        const editing = customAlgorithms.find(a => a.id === customSavedSelect.value);
+
+        let id;
+        let previous;
+        try {
+            id = userAlgorithmId(name);
+            if (getAlgorithm(id) && !customAlgorithms.some(a => a.id === id)) {
+                throw new Error(`"${name}" is already the name of a built-in algorithm.`);
+            }
+            if (id !== (editing && editing.id) && customAlgorithms.some(a => a.id === id)) {
+                throw new Error(`You already have an algorithm called "${name}".`);
+            }
+            previous = customAlgorithms.find(a => a.id === id);
+            registerUserAlgorithm({ name, source });
+        } catch (err) {
+            showCustomError(err.message);
+            return;
+        }
+
+        // Catch mistakes now rather than halfway through an animation
+        const inputs = parseInputs(false);
+        const jobs = inputs ? [{ requests: inputs.timedRequests, startHead: inputs.startHead, direction: inputs.direction, geometry: inputs.geometry, options: inputs.options }] : [];
+        btnSaveCustom.disabled = true;
+        prepareUserAlgorithms([id], jobs, (err) => {
+            btnSaveCustom.disabled = false;
+            if (err) {
+                unregisterUserAlgorithm(id);
+                if (previous) registerUserAlgorithm(previous);
+                showCustomError(err.message);
+                return;
+            }
+
+            // A renamed algorithm replaces the old one
+            if (editing && editing.id !== id) unregisterUserAlgorithm(editing.id);
+            customAlgorithms = customAlgorithms.filter(a => a.id !== id && a !== editing);
+            customAlgorithms.push({ id, name, source });
+            storeCustomAlgorithms();
+
+            updateCustomSavedSelect(id);
+            populateAlgorithmSelect(id);
+            updateAlgoDescription();
+            customModal.classList.add('hidden');
+        });
+    }
+
+    /**
+     * Shows an error inside the editor, which covers the main error box.
+     * @param {string} message - The error message to display.
+     */
+    function showCustomError(message) {
+        customError.textContent = message;
+        customError.classList.remove('hidden');
+    }
+
+    /**
+     * Handles the editor's "Delete" button: removes the algorithm being edited.
+     */
+    function handleDeleteCustom() {
+        const algo = customAlgorithms.find(a => a.id === customSavedSelect.value);
+        if (!algo) return;
+
+        unregisterUserAlgorithm(algo.id); // from custom.js
+        customAlgorithms = customAlgorithms.filter(a => a !== algo);
+        storeCustomAlgorithms();
+
+        const selected = window.algorithmSelect.value;
+        populateAlgorithmSelect(getAlgorithm(selected) ? selected : 'scan');
+        updateAlgoDescription();
+        updateCustomSavedSelect('');
+        handleCustomSelect();
     }
 
     // --- STARTUP ---